@@ -0,0 +1,134 @@
+/**
+ * Embedding providers for semantic memory recall.
+ *
+ * A provider is a plain object: { name, dimensions, embed(text) → number[] }.
+ * embed() must be synchronous — handlers run inside better-sqlite3's sync API.
+ * The default provider hashes word and character n-grams into a fixed-size
+ * vector, so it runs offline with no model download. It captures lexical and
+ * sub-word overlap ("deploying" ~ "deploy"), not true synonyms; plug in a
+ * model-backed provider with setEmbeddingProvider() for that.
+ */
+
+/**
+ * FNV-1a 32-bit hash.
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens (unicode-aware).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Create a hashed n-gram embedding provider.
+ * @param {object} [opts]
+ * @param {number} [opts.dimensions=256] - Vector size
+ * @param {number} [opts.ngram=3] - Character n-gram length
+ * @returns {{name: string, dimensions: number, embed: (text: string) => number[]}}
+ */
+export function createHashedNgramProvider({ dimensions = 256, ngram = 3 } = {}) {
+  return {
+    name: `hashed-ngram-${ngram}x${dimensions}`,
+    dimensions,
+    embed(text) {
+      const vec = new Array(dimensions).fill(0);
+      const add = (feature, weight) => {
+        const h = fnv1a(feature);
+        // Sign bit spreads collisions around zero instead of piling them up
+        vec[h % dimensions] += (h & 0x80000000) ? -weight : weight;
+      };
+      for (const word of tokenize(text)) {
+        add(`w:${word}`, 1);
+        const padded = `^${word}$`;
+        for (let i = 0; i + ngram <= padded.length; i++) {
+          add(`c:${padded.slice(i, i + ngram)}`, 0.5);
+        }
+      }
+      return normalize(vec);
+    },
+  };
+}
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged).
+ * @param {number[]} vec
+ * @returns {number[]}
+ */
+export function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vec;
+  return vec.map((v) => v / norm);
+}
+
+/**
+ * Cosine similarity between two vectors of equal length.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+/**
+ * Serialize a vector for storage in a BLOB column.
+ * @param {number[]} vec
+ * @returns {Buffer}
+ */
+export function vectorToBlob(vec) {
+  return Buffer.from(new Float32Array(vec).buffer);
+}
+
+/**
+ * Deserialize a BLOB column back into a vector.
+ * @param {Buffer} blob
+ * @returns {Float32Array}
+ */
+export function blobToVector(blob) {
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+let _provider = createHashedNgramProvider();
+
+/**
+ * The active embedding provider.
+ * @returns {{name: string, dimensions: number, embed: (text: string) => number[]}}
+ */
+export function getEmbeddingProvider() {
+  return _provider;
+}
+
+/**
+ * Replace the active embedding provider. Stored vectors from a different
+ * provider are ignored and re-embedded on the next semantic recall.
+ * @param {{name: string, dimensions: number, embed: (text: string) => number[]}} provider
+ */
+export function setEmbeddingProvider(provider) {
+  if (!provider || typeof provider.embed !== "function" || !provider.name || !provider.dimensions) {
+    throw new Error("Embedding provider must have name, dimensions and a synchronous embed(text) method");
+  }
+  _provider = provider;
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for the embedding providers.
+ */
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  createHashedNgramProvider,
+  cosineSimilarity,
+  vectorToBlob,
+  blobToVector,
+  tokenize,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+} from "./embeddings.js";
+
+const defaultProvider = getEmbeddingProvider();
+
+afterEach(() => {
+  setEmbeddingProvider(defaultProvider);
+});
+
+describe("createHashedNgramProvider", () => {
+  const provider = createHashedNgramProvider({ dimensions: 128 });
+
+  it("produces unit vectors of the configured size", () => {
+    const vec = provider.embed("deploy to staging");
+    expect(vec).toHaveLength(128);
+    const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+    expect(norm).toBeCloseTo(1, 5);
+  });
+
+  it("is deterministic", () => {
+    expect(provider.embed("same text")).toEqual(provider.embed("same text"));
+  });
+
+  it("scores related text above unrelated text", () => {
+    const query = provider.embed("deploy broke staging");
+    const related = provider.embed("deployment to the staging server failed");
+    const unrelated = provider.embed("user prefers concise weekly reports");
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  it("returns a zero vector for empty text", () => {
+    expect(provider.embed("").every((v) => v === 0)).toBe(true);
+  });
+});
+
+describe("vector helpers", () => {
+  it("round-trips vectors through BLOB encoding", () => {
+    const vec = [0.5, -0.25, 0.125];
+    expect(Array.from(blobToVector(vectorToBlob(vec)))).toEqual(vec);
+  });
+
+  it("tokenizes unicode words", () => {
+    expect(tokenize("Deploy: 部署 OK!")).toEqual(["deploy", "部署", "ok"]);
+  });
+});
+
+describe("setEmbeddingProvider", () => {
+  it("rejects providers without an embed method", () => {
+    expect(() => setEmbeddingProvider({ name: "bad", dimensions: 3 })).toThrow("embed");
+  });
+
+  it("swaps the active provider", () => {
+    const custom = { name: "const", dimensions: 2, embed: () => [1, 0] };
+    setEmbeddingProvider(custom);
+    expect(getEmbeddingProvider()).toBe(custom);
+  });
+});
@@ -2,7 +2,15 @@
  * Memory handler functions — pure logic extracted for testability.
  * Each handler accepts (db, agentName, params) and returns MCP-compatible results.
  */
-import { uuid8, now } from "../../shared/db.js";
+import { uuid8, now, ensureColumn } from "../../shared/db.js";
+import { safeJsonParse } from "../../shared/query.js";
+import {
+  getEmbeddingProvider,
+  cosineSimilarity,
+  vectorToBlob,
+  blobToVector,
+  tokenize,
+} from "./embeddings.js";
 
 // ── Schema ───────────────────────────────────────────────────────────
 
@@ -20,32 +28,442 @@ export function initSchema(db) {
       last_accessed TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS memories_archive (
+      id TEXT PRIMARY KEY,
+      agent_name TEXT NOT NULL,
+      content TEXT NOT NULL,
+      memory_type TEXT NOT NULL,
+      tags TEXT NOT NULL DEFAULT '[]',
+      importance INTEGER NOT NULL,
+      access_count INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL,
+      last_accessed TEXT NOT NULL,
+      merged_from TEXT NOT NULL DEFAULT '[]',
+      archived_at TEXT NOT NULL,
+      archive_reason TEXT NOT NULL,
+      merged_into TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      memory_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      importance INTEGER NOT NULL,
+      tags TEXT NOT NULL DEFAULT '[]',
+      action TEXT NOT NULL,
+      edited_by TEXT NOT NULL,
+      edited_at TEXT NOT NULL,
+      UNIQUE(memory_id, revision)
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_links (
+      from_id TEXT NOT NULL,
+      to_id TEXT NOT NULL,
+      relation TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (from_id, to_id, relation)
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_embeddings (
+      memory_id TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      vector BLOB NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
     CREATE INDEX IF NOT EXISTS idx_memories_agent ON memories(agent_name);
     CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(agent_name, memory_type);
+    CREATE INDEX IF NOT EXISTS idx_memories_archive_agent ON memories_archive(agent_name);
+    CREATE INDEX IF NOT EXISTS idx_memory_links_to ON memory_links(to_id);
   `);
+
+  ensureColumn(db, "memories", "merged_from", "TEXT NOT NULL DEFAULT '[]'");
+  ensureColumn(db, "memories", "scope", "TEXT NOT NULL DEFAULT 'private'");
+  ensureColumn(db, "memories_archive", "scope", "TEXT NOT NULL DEFAULT 'private'");
+  ensureColumn(db, "memories", "expires_at", "TEXT");
+  ensureColumn(db, "memories_archive", "expires_at", "TEXT");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_memories_scope ON memories(scope)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_memories_expires ON memories(expires_at)");
+
+  // FTS5 virtual table — may fail on SQLite builds without FTS5 extension
+  try {
+    const existed = db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'memories_fts'").get();
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+        content, tags, content=memories, content_rowid=rowid, tokenize='porter unicode61'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+        INSERT INTO memories_fts(rowid, content, tags) VALUES (new.rowid, new.content, new.tags);
+      END;
+      CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, content, tags) VALUES('delete', old.rowid, old.content, old.tags);
+      END;
+      CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE OF content, tags ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, content, tags) VALUES('delete', old.rowid, old.content, old.tags);
+        INSERT INTO memories_fts(rowid, content, tags) VALUES (new.rowid, new.content, new.tags);
+      END;
+    `);
+    // Index memories stored before the FTS table existed
+    if (!existed) db.exec("INSERT INTO memories_fts(memories_fts) VALUES('rebuild')");
+  } catch {
+    // FTS5 not available — recall will use LIKE fallback
+  }
 }
 
 // ── Constants ────────────────────────────────────────────────────────
 
 export const MEMORY_TYPES = ["fact", "learning", "preference", "observation", "pattern"];
 
+export const RECALL_MODES = ["keyword", "semantic", "hybrid"];
+
+// Directed: "A supports B" is stored as from=A, to=B
+export const LINK_RELATIONS = ["supports", "supersedes", "contradicts", "caused_by", "example_of", "related_to"];
+
+export const MAX_EXPAND_HOPS = 2;
+
+// Hybrid score = weighted sum of components, each normalized to 0..1
+export const HYBRID_WEIGHTS = { text: 0.35, vector: 0.4, importance: 0.15, recency: 0.1 };
+
+// bm25() column weights for memories_fts (content, tags) — a tag hit counts double
+const FTS_WEIGHTS = "1.0, 2.0";
+
+/**
+ * Turn a query that isn't valid FTS syntax into plain terms: each
+ * whitespace-separated word quoted (so "staging IP?" → "staging" "IP?"),
+ * dropping words with no letters or digits.
+ * @returns {string|null} null if no term is left
+ */
+function quoteFtsTerms(query) {
+  const terms = query.split(/\s+/).filter((t) => /[\p{L}\p{N}]/u.test(t));
+  return terms.length > 0 ? terms.map((t) => `"${t.replace(/"/g, '""')}"`).join(" ") : null;
+}
+
+const SEMANTIC_MIN_SIMILARITY = 0.15;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// Effective importance halves for every MCP_MEMORY_HALF_LIFE_DAYS without access
+const DEFAULT_DECAY_HALF_LIFE_DAYS = 30;
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function parseTags(row) {
+  try {
+    const tags = JSON.parse(row.tags);
+    if (Array.isArray(tags)) return tags;
+  } catch {
+    // fall through
+  }
+  console.error(`[warn] memory ${row.id}: corrupt tags JSON`);
+  return ["CORRUPTED"];
+}
+
+/**
+ * Stored scopes for the teams/groups an agent belongs to.
+ * @param {string|null} team
+ * @param {string[]} groups
+ * @returns {string[]}
+ */
+export function membershipScopes(team, groups = []) {
+  return [...(team ? [`team:${team}`] : []), ...groups.map((g) => `group:${g}`)];
+}
+
+/**
+ * Turn a requested scope ("private", "team", "global" or a group name) into
+ * its stored form, checking the caller belongs to the team/group.
+ * @returns {{scope?: string, error?: string}}
+ */
+export function resolveScope(scope, memberships = []) {
+  if (scope === "private" || scope === "global") return { scope };
+  if (scope === "team") {
+    const team = memberships.find((m) => m.startsWith("team:"));
+    if (!team) return { error: "No team configured for this agent (set MCP_AGENT_TEAM)." };
+    return { scope: team };
+  }
+  const group = `group:${scope}`;
+  if (!memberships.includes(group)) {
+    return { error: `Not a member of group '${scope}' (set MCP_AGENT_GROUPS).` };
+  }
+  return { scope: group };
+}
+
+/**
+ * WHERE fragment for the memories an agent can see: its own (any scope),
+ * global ones, and those shared with its team or groups.
+ * @returns {{sql: string, params: any[]}}
+ */
+export function visibilityClause(agentName, memberships = []) {
+  const shared = ["global", ...memberships];
+  return {
+    sql: `(m.agent_name = ? OR m.scope IN (${shared.map(() => "?").join(", ")}))`,
+    params: [agentName, ...shared],
+  };
+}
+
+/**
+ * Resolve expires_at / ttl_days into an ISO timestamp. `value` is undefined
+ * when neither was given and null when expires_at is null (clear expiry).
+ * @returns {{value?: string|null, error?: string}}
+ */
+export function resolveExpiry({ expires_at, ttl_days }) {
+  if (expires_at !== undefined && ttl_days !== undefined) {
+    return { error: "Give either expires_at or ttl_days, not both." };
+  }
+  if (ttl_days !== undefined) {
+    return { value: new Date(Date.now() + ttl_days * 86400000).toISOString() };
+  }
+  if (expires_at === null) return { value: null };
+  if (expires_at !== undefined) {
+    const ms = new Date(expires_at).getTime();
+    if (Number.isNaN(ms)) return { error: `Invalid expires_at "${expires_at}" (use an ISO date or datetime).` };
+    return { value: new Date(ms).toISOString() };
+  }
+  return {};
+}
+
+function notExpiredClause(alias = "m") {
+  return `(${alias}.expires_at IS NULL OR ${alias}.expires_at > ?)`;
+}
+
+function expiryLabel(row, ts = now()) {
+  if (!row.expires_at) return "";
+  return row.expires_at <= ts ? ` | Expired: ${row.expires_at}` : ` | Expires: ${row.expires_at}`;
+}
+
+/**
+ * Error result when `row` is missing or owned by another agent (admins may
+ * manage anyone's memories), else null.
+ */
+function ownershipError(row, memoryId, agentName, admin) {
+  if (!row) {
+    return { content: [{ type: "text", text: `Memory "${memoryId}" not found.` }], isError: true };
+  }
+  if (row.agent_name !== agentName && !admin) {
+    return {
+      content: [{ type: "text", text: `Error: Memory "${memoryId}" belongs to ${row.agent_name}, not ${agentName}.` }],
+      isError: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Error for a memory that was archived rather than deleted. Only forgotten
+ * memories can be unforgotten; merged ones live on in their keeper.
+ */
+function archivedError(row) {
+  let why;
+  if (row.archive_reason === "forgotten") why = "was forgotten — unforget it first.";
+  else if (row.archive_reason === "merged") why = `was merged into "${row.merged_into}" — use that memory instead.`;
+  else why = `was archived (${row.archive_reason}) on ${row.archived_at} and can't be brought back.`;
+  return { content: [{ type: "text", text: `Error: Memory "${row.id}" ${why}` }], isError: true };
+}
+
+function scopeLabel(row, agentName) {
+  if (row.scope === "private" && row.agent_name === agentName) return "";
+  return ` | Scope: ${row.scope} by ${row.agent_name}`;
+}
+
+/**
+ * Importance decayed by time since last access, with a small boost for
+ * frequently recalled memories. Capped at 10.
+ * @param {{importance: number, access_count: number, last_accessed: string}} row
+ * @param {number} [nowMs]
+ * @returns {number}
+ */
+export function effectiveImportance(row, nowMs = Date.now()) {
+  const halfLife = Number(process.env.MCP_MEMORY_HALF_LIFE_DAYS) || DEFAULT_DECAY_HALF_LIFE_DAYS;
+  const idleDays = Math.max(0, (nowMs - new Date(row.last_accessed).getTime()) / 86400000);
+  const decay = Math.pow(0.5, idleDays / halfLife);
+  const boost = 1 + 0.1 * Math.log2(1 + (row.access_count || 0));
+  return Math.min(10, row.importance * decay * boost);
+}
+
+/**
+ * Snapshot a memory's content, importance and tags into memory_revisions
+ * before `action` (update, restore, consolidate, forget) changes it.
+ * @returns {number} the new revision number
+ */
+function recordRevision(db, row, editedBy, action) {
+  const { next } = db.prepare(
+    "SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM memory_revisions WHERE memory_id = ?"
+  ).get(row.id);
+  db.prepare(
+    `INSERT INTO memory_revisions (memory_id, revision, content, importance, tags, action, edited_by, edited_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(row.id, next, row.content, row.importance, row.tags, action, editedBy, now());
+  return next;
+}
+
+/**
+ * Point links at/from `fromId` to `toId` instead (e.g. after a merge),
+ * dropping any that would duplicate an existing link or become self-links.
+ */
+function redirectLinks(db, fromId, toId) {
+  db.prepare("UPDATE OR IGNORE memory_links SET from_id = ? WHERE from_id = ?").run(toId, fromId);
+  db.prepare("UPDATE OR IGNORE memory_links SET to_id = ? WHERE to_id = ?").run(toId, fromId);
+  db.prepare("DELETE FROM memory_links WHERE from_id = ? OR to_id = ? OR from_id = to_id").run(fromId, fromId);
+}
+
+/**
+ * Move a memory to memories_archive. Nothing is deleted outright, so
+ * forgotten, pruned and merged memories can still be inspected later.
+ */
+function archiveMemory(db, row, reason, mergedInto = null) {
+  db.prepare(
+    `INSERT OR REPLACE INTO memories_archive
+     (id, agent_name, content, memory_type, tags, importance, access_count, created_at, last_accessed, merged_from, scope, expires_at, archived_at, archive_reason, merged_into)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(row.id, row.agent_name, row.content, row.memory_type, row.tags, row.importance, row.access_count || 0,
+    row.created_at, row.last_accessed, row.merged_from || "[]", row.scope || "private", row.expires_at ?? null,
+    now(), reason, mergedInto);
+  db.prepare("DELETE FROM memories WHERE id = ?").run(row.id);
+  db.prepare("DELETE FROM memory_embeddings WHERE memory_id = ?").run(row.id);
+}
+
+/**
+ * Walk memory_links (both directions) out from `rows` for up to `hops` hops,
+ * returning newly reached memories the agent can see, each with the link
+ * that reached it.
+ * @returns {{row: object, link: object, hop: number}[]}
+ */
+function expandLinks(db, agentName, memberships, rows, hops, includeExpired) {
+  const visible = visibilityClause(agentName, memberships);
+  const expiry = includeExpired ? "" : ` AND ${notExpiredClause()}`;
+  const ts = now();
+  const seen = new Set(rows.map((r) => r.id));
+  const reached = [];
+  let frontier = [...seen];
+
+  for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+    const ph = frontier.map(() => "?").join(", ");
+    const links = db.prepare(
+      `SELECT * FROM memory_links WHERE from_id IN (${ph}) OR to_id IN (${ph})
+       ORDER BY created_at`
+    ).all(...frontier, ...frontier);
+
+    const via = new Map();
+    for (const link of links) {
+      for (const id of [link.from_id, link.to_id]) {
+        if (!seen.has(id) && !via.has(id)) via.set(id, link);
+      }
+    }
+    if (via.size === 0) break;
+
+    const ids = [...via.keys()];
+    const found = db.prepare(
+      `SELECT m.* FROM memories m WHERE m.id IN (${ids.map(() => "?").join(", ")}) AND ${visible.sql}${expiry}
+       ORDER BY m.importance DESC`
+    ).all(...ids, ...visible.params, ...(includeExpired ? [] : [ts]));
+
+    frontier = [];
+    for (const row of found) {
+      seen.add(row.id);
+      frontier.push(row.id);
+      reached.push({ row, link: via.get(row.id), hop });
+    }
+  }
+  return reached;
+}
+
+// ── Embeddings ───────────────────────────────────────────────────────
+
+function embeddingText(content, tags) {
+  return `${content}\n${tags.join(" ")}`;
+}
+
+/**
+ * Compute and store the embedding for a memory with the active provider.
+ * @returns {number[]} the vector
+ */
+export function embedMemory(db, memoryId, content, tags) {
+  const provider = getEmbeddingProvider();
+  const vector = provider.embed(embeddingText(content, tags));
+  db.prepare(
+    `INSERT INTO memory_embeddings (memory_id, provider, vector, updated_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(memory_id) DO UPDATE SET provider = excluded.provider, vector = excluded.vector, updated_at = excluded.updated_at`
+  ).run(memoryId, provider.name, vectorToBlob(vector), now());
+  return vector;
+}
+
+/**
+ * Stored vector for a row joined with memory_embeddings (vector,
+ * embedding_provider), re-embedding if missing or from another provider.
+ */
+function memoryVector(db, row, tags) {
+  const provider = getEmbeddingProvider();
+  if (row.vector && row.embedding_provider === provider.name) return blobToVector(row.vector);
+  return embedMemory(db, row.id, row.content, tags);
+}
+
+/**
+ * Score candidate rows for a semantic or hybrid recall, best first.
+ * Rows need the joined embedding columns (vector, embedding_provider);
+ * missing or stale embeddings are computed and stored on the way.
+ */
+function rankMemories(db, rows, query, mode) {
+  const queryVec = getEmbeddingProvider().embed(query);
+  const queryTerms = [...new Set(tokenize(query))];
+  const nowMs = Date.now();
+
+  const scored = [];
+  for (const row of rows) {
+    const tags = parseTags(row);
+    const vector = memoryVector(db, row, tags);
+    const similarity = Math.max(0, cosineSimilarity(queryVec, vector));
+
+    if (mode === "semantic") {
+      if (similarity >= SEMANTIC_MIN_SIMILARITY) scored.push({ ...row, score: similarity });
+      continue;
+    }
+
+    const words = new Set(tokenize(embeddingText(row.content, tags)));
+    const text = queryTerms.length > 0 ? queryTerms.filter((t) => words.has(t)).length / queryTerms.length : 0;
+    if (text === 0 && similarity < SEMANTIC_MIN_SIMILARITY) continue;
+
+    const ageDays = Math.max(0, (nowMs - new Date(row.created_at).getTime()) / 86400000);
+    const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    const score =
+      HYBRID_WEIGHTS.text * text +
+      HYBRID_WEIGHTS.vector * similarity +
+      HYBRID_WEIGHTS.importance * (effectiveImportance(row, nowMs) / 10) +
+      HYBRID_WEIGHTS.recency * recency;
+    scored.push({ ...row, score });
+  }
+
+  return scored.sort((a, b) => b.score - a.score);
+}
+
 // ── Handlers ─────────────────────────────────────────────────────────
 
-export function storeMemory(db, agentName, { content, memory_type = "observation", tags, importance = 5 }) {
+export function storeMemory(db, agentName, { content, memory_type = "observation", tags, importance = 5, scope = "private", expires_at, ttl_days, memberships = [] }) {
   try {
+    const resolved = resolveScope(scope, memberships);
+    if (resolved.error) {
+      return { content: [{ type: "text", text: `Error: ${resolved.error}` }], isError: true };
+    }
+    const expiry = resolveExpiry({ expires_at, ttl_days });
+    if (expiry.error) {
+      return { content: [{ type: "text", text: `Error: ${expiry.error}` }], isError: true };
+    }
+
     const memId = uuid8();
     const ts = now();
 
     db.prepare(
       `INSERT INTO memories
-       (id, agent_name, content, memory_type, tags, importance, created_at, last_accessed)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
-    ).run(memId, agentName, content, memory_type, JSON.stringify(tags), importance, ts, ts);
+       (id, agent_name, content, memory_type, tags, importance, scope, expires_at, created_at, last_accessed)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(memId, agentName, content, memory_type, JSON.stringify(tags), importance, resolved.scope, expiry.value ?? null, ts, ts);
+    embedMemory(db, memId, content, tags);
 
+    const scopeNote = resolved.scope !== "private" ? ` | Scope: ${resolved.scope}` : "";
     return {
       content: [{
         type: "text",
-        text: `Memory stored: ${memId}\nType: ${memory_type} | Importance: ${importance}/10\nTags: ${tags.join(", ")}\nContent: ${content}`,
+        text: `Memory stored: ${memId}\nType: ${memory_type} | Importance: ${importance}/10${scopeNote}${expiryLabel({ expires_at: expiry.value }, ts)}\nTags: ${tags.join(", ")}\nContent: ${content}`,
       }],
     };
   } catch (err) {
@@ -53,21 +471,37 @@ export function storeMemory(db, agentName, { content, memory_type = "observation
   }
 }
 
-export function recall(db, agentName, { query, tags, memory_type = "any", limit = 10 }) {
+export function recall(db, agentName, { query, tags, memory_type = "any", limit = 10, mode = "keyword", scope = "visible", expand_hops = 0, include_expired = false, memberships = [] }) {
   try {
-    let clauses = ["agent_name = ?"];
-    let params = [agentName];
+    const ranked = Boolean(query) && mode !== "keyword";
+    const visible = visibilityClause(agentName, memberships);
+    const ts = now();
+    let clauses = [visible.sql];
+    let params = [...visible.params];
 
-    if (query) {
-      clauses.push("content LIKE ?");
-      params.push(`%${query}%`);
+    if (!include_expired) {
+      clauses.push(notExpiredClause());
+      params.push(ts);
     }
+
+    if (scope === "private") {
+      clauses.push("m.agent_name = ? AND m.scope = 'private'");
+      params.push(agentName);
+    } else if (scope !== "visible") {
+      const resolved = resolveScope(scope, memberships);
+      if (resolved.error) {
+        return { content: [{ type: "text", text: `Error: ${resolved.error}` }], isError: true };
+      }
+      clauses.push("m.scope = ?");
+      params.push(resolved.scope);
+    }
+
     if (memory_type && memory_type !== "any") {
-      clauses.push("memory_type = ?");
+      clauses.push("m.memory_type = ?");
       params.push(memory_type);
     }
     if (tags && tags.length > 0) {
-      const tagClauses = tags.map(() => "tags LIKE ?");
+      const tagClauses = tags.map(() => "m.tags LIKE ?");
       clauses.push(`(${tagClauses.join(" OR ")})`);
       for (const tag of tags) {
         params.push(`%"${tag}"%`);
@@ -75,12 +509,49 @@ export function recall(db, agentName, { query, tags, memory_type = "any", limit
     }
 
     const where = clauses.join(" AND ");
-    params.push(limit);
 
-    const rows = db.prepare(
-      `SELECT * FROM memories WHERE ${where}
-       ORDER BY importance DESC, created_at DESC LIMIT ?`
-    ).all(...params);
+    let rows;
+    if (ranked) {
+      const candidates = db.prepare(
+        `SELECT m.*, e.vector, e.provider AS embedding_provider
+         FROM memories m LEFT JOIN memory_embeddings e ON e.memory_id = m.id
+         WHERE ${where}`
+      ).all(...params);
+      rows = rankMemories(db, candidates, query, mode).slice(0, limit);
+    } else if (query) {
+      const ftsSearch = (match) => db.prepare(
+        `SELECT m.*, -bm25(memories_fts, ${FTS_WEIGHTS}) AS relevance,
+                snippet(memories_fts, -1, '**', '**', '…', 12) AS snippet
+         FROM memories m JOIN memories_fts ON m.rowid = memories_fts.rowid
+         WHERE memories_fts MATCH ? AND ${where}
+         ORDER BY bm25(memories_fts, ${FTS_WEIGHTS}), m.importance DESC LIMIT ?`
+      ).all(match, ...params, limit);
+      try {
+        rows = ftsSearch(query);
+      } catch {
+        // The query isn't valid FTS syntax: search its words as plain terms
+        try {
+          const terms = quoteFtsTerms(query);
+          rows = terms ? ftsSearch(terms) : [];
+        } catch {
+          // FTS5 unavailable
+          rows = [];
+        }
+      }
+      // FTS matches whole tokens only; fall back to a substring match so
+      // partial words ("stag" → "staging") still find something
+      if (rows.length === 0) {
+        rows = db.prepare(
+          `SELECT m.* FROM memories m WHERE ${where} AND m.content LIKE ?
+           ORDER BY m.importance DESC, m.created_at DESC LIMIT ?`
+        ).all(...params, `%${query}%`, limit);
+      }
+    } else {
+      rows = db.prepare(
+        `SELECT m.* FROM memories m WHERE ${where}
+         ORDER BY m.importance DESC, m.created_at DESC LIMIT ?`
+      ).all(...params, limit);
+    }
 
     if (rows.length === 0) {
       const filterNote = query ? ` matching "${query}"` : "";
@@ -89,7 +560,6 @@ export function recall(db, agentName, { query, tags, memory_type = "any", limit
     }
 
     // Bump access stats (batched)
-    const ts = now();
     const ids = rows.map(r => r.id);
     const placeholders = ids.map(() => '?').join(',');
     db.prepare(
@@ -97,37 +567,49 @@ export function recall(db, agentName, { query, tags, memory_type = "any", limit
     ).run(ts, ...ids);
 
     const lines = rows.map((r) => {
-      let memTags;
-      try {
-        memTags = JSON.parse(r.tags);
-        if (!Array.isArray(memTags)) memTags = ["CORRUPTED"];
-      } catch {
-        console.error(`[warn] memory ${r.id}: corrupt tags JSON`);
-        memTags = ["CORRUPTED"];
-      }
-      return `[${r.id}] (${r.memory_type}, importance: ${r.importance}/10) ${r.content}\n  Tags: ${memTags.join(", ")} | Created: ${r.created_at} | Accessed: ${r.access_count + 1}x`;
+      const memTags = parseTags(r);
+      const score =
+        r.score !== undefined ? `, score: ${r.score.toFixed(2)}` :
+        r.relevance != null ? `, relevance: ${r.relevance.toFixed(2)}` : "";
+      let line = `[${r.id}] (${r.memory_type}, importance: ${r.importance}/10${score}) ${r.content}\n  Tags: ${memTags.join(", ")}${scopeLabel(r, agentName)}${expiryLabel(r, ts)} | Created: ${r.created_at} | Accessed: ${r.access_count + 1}x`;
+      if (r.snippet) line += `\n  Match: ${r.snippet}`;
+      return line;
     });
 
+    if (expand_hops > 0) {
+      const linked = expandLinks(db, agentName, memberships, rows, Math.min(expand_hops, MAX_EXPAND_HOPS), include_expired);
+      if (linked.length > 0) {
+        const linkedLines = linked.map(({ row, link, hop }) =>
+          `  ↳ [${row.id}] (${row.memory_type}, importance: ${row.importance}/10) ${row.content}\n` +
+          `    via ${link.from_id} ${link.relation} ${link.to_id} (hop ${hop})${scopeLabel(row, agentName)}`
+        );
+        lines.push(`Linked memories:\n${linkedLines.join("\n")}`);
+      }
+    }
+
     return { content: [{ type: "text", text: lines.join("\n\n") }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
 }
 
-export function listMemories(db, agentName, { memory_type = "any", limit = 20 }) {
+export function listMemories(db, agentName, { memory_type = "any", limit = 20, include_expired = false }) {
   try {
-    let rows;
+    const ts = now();
+    const clauses = ["m.agent_name = ?"];
+    const params = [agentName];
     if (memory_type && memory_type !== "any") {
-      rows = db.prepare(
-        `SELECT * FROM memories WHERE agent_name = ? AND memory_type = ?
-         ORDER BY importance DESC, created_at DESC LIMIT ?`
-      ).all(agentName, memory_type, limit);
-    } else {
-      rows = db.prepare(
-        `SELECT * FROM memories WHERE agent_name = ?
-         ORDER BY importance DESC, created_at DESC LIMIT ?`
-      ).all(agentName, limit);
+      clauses.push("m.memory_type = ?");
+      params.push(memory_type);
+    }
+    if (!include_expired) {
+      clauses.push(notExpiredClause());
+      params.push(ts);
     }
+    const rows = db.prepare(
+      `SELECT m.* FROM memories m WHERE ${clauses.join(" AND ")}
+       ORDER BY m.importance DESC, m.created_at DESC LIMIT ?`
+    ).all(...params, limit);
 
     if (rows.length === 0) {
       return { content: [{ type: "text", text: "No memories stored yet." }] };
@@ -135,15 +617,12 @@ export function listMemories(db, agentName, { memory_type = "any", limit = 20 })
 
     const lines = rows.map((r) => {
       const preview = r.content.length > 100 ? r.content.slice(0, 100) + "..." : r.content;
-      let memTags;
-      try {
-        memTags = JSON.parse(r.tags);
-        if (!Array.isArray(memTags)) memTags = ["CORRUPTED"];
-      } catch {
-        console.error(`[warn] memory ${r.id}: corrupt tags JSON`);
-        memTags = ["CORRUPTED"];
-      }
-      return `[${r.id}] ${r.memory_type} (${r.importance}/10): ${preview}  [${memTags.join(", ")}]`;
+      const memTags = parseTags(r);
+      const eff = effectiveImportance(r);
+      const decayed = eff < r.importance - 0.05 ? `, effective ${eff.toFixed(1)}` : "";
+      const shared = r.scope && r.scope !== "private" ? ` {${r.scope}}` : "";
+      const expired = r.expires_at && r.expires_at <= ts ? " (expired)" : "";
+      return `[${r.id}] ${r.memory_type} (${r.importance}/10${decayed})${shared}${expired}: ${preview}  [${memTags.join(", ")}]`;
     });
 
     return { content: [{ type: "text", text: `${rows.length} memories:\n\n${lines.join("\n")}` }] };
@@ -152,25 +631,32 @@ export function listMemories(db, agentName, { memory_type = "any", limit = 20 })
   }
 }
 
-export function forget(db, agentName, { memory_id }) {
+export function forget(db, agentName, { memory_id, admin = false }) {
   try {
-    const result = db.prepare("DELETE FROM memories WHERE id = ?").run(memory_id);
+    const existing = db.prepare("SELECT * FROM memories WHERE id = ?").get(memory_id);
+    const denied = ownershipError(existing, memory_id, agentName, admin);
+    if (denied) return denied;
 
-    if (result.changes === 0) {
-      return { content: [{ type: "text", text: `Memory "${memory_id}" not found.` }] };
-    }
+    db.transaction(() => {
+      recordRevision(db, existing, agentName, "forget");
+      archiveMemory(db, existing, "forgotten");
+    })();
 
-    return { content: [{ type: "text", text: `Memory "${memory_id}" deleted.` }] };
+    const owner = existing.agent_name !== agentName ? ` (owned by ${existing.agent_name})` : "";
+    return { content: [{ type: "text", text: `Memory "${memory_id}" deleted${owner}. Use unforget to bring it back.` }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
 }
 
-export function updateMemory(db, agentName, { memory_id, content, importance, tags }) {
+export function updateMemory(db, agentName, { memory_id, content, importance, tags, expires_at, ttl_days, admin = false }) {
   try {
     const existing = db.prepare("SELECT * FROM memories WHERE id = ?").get(memory_id);
-    if (!existing) {
-      return { content: [{ type: "text", text: `Memory "${memory_id}" not found.` }] };
+    const denied = ownershipError(existing, memory_id, agentName, admin);
+    if (denied) return denied;
+    const expiry = resolveExpiry({ expires_at, ttl_days });
+    if (expiry.error) {
+      return { content: [{ type: "text", text: `Error: ${expiry.error}` }], isError: true };
     }
 
     const updates = [];
@@ -178,16 +664,366 @@ export function updateMemory(db, agentName, { memory_id, content, importance, ta
     if (content !== undefined) { updates.push("content = ?"); params.push(content); }
     if (importance !== undefined) { updates.push("importance = ?"); params.push(importance); }
     if (tags !== undefined) { updates.push("tags = ?"); params.push(JSON.stringify(tags)); }
+    if (expiry.value !== undefined) { updates.push("expires_at = ?"); params.push(expiry.value); }
 
     if (updates.length === 0) {
       return { content: [{ type: "text", text: "No fields to update." }] };
     }
 
     params.push(memory_id);
-    db.prepare(`UPDATE memories SET ${updates.join(", ")} WHERE id = ?`).run(...params);
+    db.transaction(() => {
+      recordRevision(db, existing, agentName, "update");
+      db.prepare(`UPDATE memories SET ${updates.join(", ")} WHERE id = ?`).run(...params);
+    })();
+
+    if (content !== undefined || tags !== undefined) {
+      embedMemory(db, memory_id, content ?? existing.content, tags ?? parseTags(existing));
+    }
 
     return { content: [{ type: "text", text: `Memory "${memory_id}" updated.` }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
 }
+
+export function consolidateMemories(db, agentName, { threshold = 0.85, dry_run = false }) {
+  try {
+    const rows = db.prepare(
+      `SELECT m.*, e.vector, e.provider AS embedding_provider
+       FROM memories m LEFT JOIN memory_embeddings e ON e.memory_id = m.id
+       WHERE m.agent_name = ?
+       ORDER BY m.importance DESC, m.access_count DESC, m.created_at ASC`
+    ).all(agentName);
+
+    // Greedy clustering: each memory (best first) absorbs unclaimed near-duplicates.
+    // Only memories of the same scope merge, so a shared copy never ends up
+    // archived behind a narrower keeper
+    const items = rows.map((row) => {
+      const tags = parseTags(row);
+      return { row, tags, vector: memoryVector(db, row, tags) };
+    });
+    const claimed = new Set();
+    const groups = [];
+    for (const keeper of items) {
+      if (claimed.has(keeper.row.id)) continue;
+      const dupes = [];
+      for (const other of items) {
+        if (other === keeper || claimed.has(other.row.id) || other.row.scope !== keeper.row.scope) continue;
+        const similarity = cosineSimilarity(keeper.vector, other.vector);
+        if (similarity >= threshold) dupes.push({ ...other, similarity });
+      }
+      if (dupes.length === 0) continue;
+      claimed.add(keeper.row.id);
+      for (const d of dupes) claimed.add(d.row.id);
+      groups.push({ keeper, dupes });
+    }
+
+    if (groups.length === 0) {
+      return { content: [{ type: "text", text: `No near-duplicate memories found (threshold ${threshold}).` }] };
+    }
+
+    if (!dry_run) {
+      const mergeTx = db.transaction(() => {
+        for (const { keeper, dupes } of groups) {
+          recordRevision(db, keeper.row, agentName, "consolidate");
+          const all = [keeper, ...dupes];
+          const tags = [...new Set(all.flatMap((m) => m.tags))].filter((t) => t !== "CORRUPTED");
+          const mergedFrom = [
+            ...new Set([
+              ...all.flatMap((m) => safeJsonParse(m.row.merged_from, [], `memory ${m.row.id} merged_from`)),
+              ...dupes.map((d) => d.row.id),
+            ]),
+          ];
+          db.prepare(
+            `UPDATE memories SET tags = ?, importance = ?, access_count = ?, last_accessed = ?, merged_from = ?
+             WHERE id = ?`
+          ).run(
+            JSON.stringify(tags),
+            Math.max(...all.map((m) => m.row.importance)),
+            all.reduce((sum, m) => sum + (m.row.access_count || 0), 0),
+            all.map((m) => m.row.last_accessed).sort().pop(),
+            JSON.stringify(mergedFrom),
+            keeper.row.id
+          );
+          embedMemory(db, keeper.row.id, keeper.row.content, tags);
+          for (const d of dupes) {
+            redirectLinks(db, d.row.id, keeper.row.id);
+            archiveMemory(db, d.row, "merged", keeper.row.id);
+          }
+        }
+      });
+      mergeTx();
+    }
+
+    const merged = groups.reduce((sum, g) => sum + g.dupes.length, 0);
+    const lines = groups.map(({ keeper, dupes }) => {
+      const preview = keeper.row.content.length > 80 ? keeper.row.content.slice(0, 80) + "..." : keeper.row.content;
+      const from = dupes.map((d) => `${d.row.id} (${d.similarity.toFixed(2)})`).join(", ");
+      return `  keep [${keeper.row.id}] ${preview}\n    ← ${from}`;
+    });
+    const header = dry_run
+      ? `Dry run: ${groups.length} group(s) would merge ${merged} memories:`
+      : `Consolidated ${groups.length} group(s): ${merged} memories merged and archived.`;
+    return { content: [{ type: "text", text: `${header}\n\n${lines.join("\n")}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function pruneMemories(db, agentName, { min_effective_importance = 1, min_idle_days = 30, dry_run = false }) {
+  try {
+    const nowMs = Date.now();
+    const cutoff = new Date(nowMs - min_idle_days * 86400000).toISOString();
+    const candidates = db.prepare(
+      "SELECT * FROM memories WHERE agent_name = ? AND last_accessed <= ?"
+    ).all(agentName, cutoff);
+    const victims = candidates
+      .map((row) => ({ row, eff: effectiveImportance(row, nowMs) }))
+      .filter((v) => v.eff < min_effective_importance)
+      .sort((a, b) => a.eff - b.eff);
+
+    if (victims.length === 0) {
+      return { content: [{ type: "text", text: `Nothing to prune (effective importance < ${min_effective_importance}, idle ≥ ${min_idle_days} days).` }] };
+    }
+
+    if (!dry_run) {
+      const pruneTx = db.transaction(() => {
+        for (const v of victims) archiveMemory(db, v.row, "pruned");
+      });
+      pruneTx();
+    }
+
+    const lines = victims.map((v) => {
+      const preview = v.row.content.length > 80 ? v.row.content.slice(0, 80) + "..." : v.row.content;
+      return `  [${v.row.id}] (${v.row.importance}/10 → ${v.eff.toFixed(2)}, last accessed ${v.row.last_accessed}) ${preview}`;
+    });
+    const header = dry_run ? `Dry run: ${victims.length} memories would be archived:` : `Archived ${victims.length} low-value memories:`;
+    return { content: [{ type: "text", text: `${header}\n\n${lines.join("\n")}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function sweepExpired(db, agentName, { dry_run = false, admin = false }) {
+  try {
+    // The admin sweeps every agent's memories; everyone else only their own
+    const owner = admin ? "" : "agent_name = ? AND ";
+    const victims = db.prepare(
+      `SELECT * FROM memories WHERE ${owner}expires_at IS NOT NULL AND expires_at <= ?
+       ORDER BY expires_at`
+    ).all(...(admin ? [] : [agentName]), now());
+
+    if (victims.length === 0) {
+      return { content: [{ type: "text", text: "No expired memories." }] };
+    }
+
+    if (!dry_run) {
+      db.transaction(() => {
+        for (const row of victims) archiveMemory(db, row, "expired");
+      })();
+    }
+
+    const lines = victims.map((row) => {
+      const preview = row.content.length > 80 ? row.content.slice(0, 80) + "..." : row.content;
+      const owner = row.agent_name !== agentName ? ` ${row.agent_name}:` : "";
+      return `  [${row.id}]${owner} (expired ${row.expires_at}) ${preview}`;
+    });
+    const header = dry_run ? `Dry run: ${victims.length} expired memories would be archived:` : `Archived ${victims.length} expired memories:`;
+    return { content: [{ type: "text", text: `${header}\n\n${lines.join("\n")}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function shareMemory(db, agentName, { memory_id, scope, memberships = [] }) {
+  try {
+    // Scope is the author's call alone — admins can delete but not re-share
+    const existing = db.prepare("SELECT * FROM memories WHERE id = ?").get(memory_id);
+    const denied = ownershipError(existing, memory_id, agentName, false);
+    if (denied) return denied;
+
+    const resolved = resolveScope(scope, memberships);
+    if (resolved.error) {
+      return { content: [{ type: "text", text: `Error: ${resolved.error}` }], isError: true };
+    }
+
+    db.prepare("UPDATE memories SET scope = ? WHERE id = ?").run(resolved.scope, memory_id);
+    return { content: [{ type: "text", text: `Memory "${memory_id}" scope: ${existing.scope} → ${resolved.scope}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Revisions & undo ─────────────────────────────────────────────────
+
+export function memoryHistory(db, agentName, { memory_id, admin = false, memberships = [] }) {
+  try {
+    const current = db.prepare("SELECT * FROM memories WHERE id = ?").get(memory_id);
+    const archived = current ? null : db.prepare("SELECT * FROM memories_archive WHERE id = ?").get(memory_id);
+    const row = current || archived;
+    if (!row) {
+      return { content: [{ type: "text", text: `Memory "${memory_id}" not found.` }], isError: true };
+    }
+    const visible = row.agent_name === agentName || admin || ["global", ...memberships].includes(row.scope);
+    if (!visible) {
+      return { content: [{ type: "text", text: `Error: Memory "${memory_id}" belongs to ${row.agent_name}, not ${agentName}.` }], isError: true };
+    }
+
+    const revisions = db.prepare(
+      "SELECT * FROM memory_revisions WHERE memory_id = ? ORDER BY revision DESC"
+    ).all(memory_id);
+
+    const state = current ? "current" : `${archived.archive_reason} ${archived.archived_at}`;
+    const lines = [
+      `Memory ${memory_id} by ${row.agent_name} (${state}): importance ${row.importance}/10 [${parseTags(row).join(", ")}]`,
+      `  ${row.content}`,
+    ];
+    if (revisions.length === 0) {
+      lines.push("", "No earlier revisions.");
+    }
+    for (const r of revisions) {
+      lines.push(
+        "",
+        `r${r.revision} — replaced by ${r.edited_by} (${r.action}) at ${r.edited_at}: importance ${r.importance}/10 [${parseTags(r).join(", ")}]`,
+        `  ${r.content}`
+      );
+    }
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function restoreMemory(db, agentName, { memory_id, revision, admin = false }) {
+  try {
+    const existing = db.prepare("SELECT * FROM memories WHERE id = ?").get(memory_id);
+    const denied = ownershipError(existing, memory_id, agentName, admin);
+    if (denied) {
+      const archived = !existing && db.prepare("SELECT * FROM memories_archive WHERE id = ?").get(memory_id);
+      return archived ? archivedError(archived) : denied;
+    }
+
+    const target = db.prepare(
+      "SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?"
+    ).get(memory_id, revision);
+    if (!target) {
+      return { content: [{ type: "text", text: `Error: Memory "${memory_id}" has no revision r${revision}.` }], isError: true };
+    }
+
+    const saved = db.transaction(() => {
+      const rev = recordRevision(db, existing, agentName, "restore");
+      db.prepare("UPDATE memories SET content = ?, importance = ?, tags = ? WHERE id = ?")
+        .run(target.content, target.importance, target.tags, memory_id);
+      embedMemory(db, memory_id, target.content, parseTags(target));
+      return rev;
+    })();
+
+    return {
+      content: [{
+        type: "text",
+        text: `Memory "${memory_id}" restored to r${revision} (previous version saved as r${saved}).\nContent: ${target.content}`,
+      }],
+    };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function listForgotten(db, agentName, { limit = 20 }) {
+  try {
+    const rows = db.prepare(
+      `SELECT * FROM memories_archive WHERE agent_name = ? AND archive_reason = 'forgotten'
+       ORDER BY archived_at DESC LIMIT ?`
+    ).all(agentName, limit);
+
+    if (rows.length === 0) {
+      return { content: [{ type: "text", text: "No forgotten memories." }] };
+    }
+
+    const lines = rows.map((r) => {
+      const preview = r.content.length > 100 ? r.content.slice(0, 100) + "..." : r.content;
+      return `[${r.id}] ${r.memory_type} (${r.importance}/10), forgotten ${r.archived_at}: ${preview}  [${parseTags(r).join(", ")}]`;
+    });
+    return { content: [{ type: "text", text: `${rows.length} forgotten memories:\n\n${lines.join("\n")}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function unforget(db, agentName, { memory_id, admin = false }) {
+  try {
+    const row = db.prepare("SELECT * FROM memories_archive WHERE id = ?").get(memory_id);
+    const denied = ownershipError(row, memory_id, agentName, admin);
+    if (denied) return denied;
+    if (row.archive_reason !== "forgotten") return archivedError(row);
+
+    db.transaction(() => {
+      db.prepare(
+        `INSERT INTO memories
+         (id, agent_name, content, memory_type, tags, importance, access_count, created_at, last_accessed, merged_from, scope, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(row.id, row.agent_name, row.content, row.memory_type, row.tags, row.importance, row.access_count,
+        row.created_at, row.last_accessed, row.merged_from, row.scope, row.expires_at);
+      db.prepare("DELETE FROM memories_archive WHERE id = ?").run(memory_id);
+      embedMemory(db, row.id, row.content, parseTags(row));
+    })();
+
+    return { content: [{ type: "text", text: `Memory "${memory_id}" restored.\nContent: ${row.content}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Links ────────────────────────────────────────────────────────────
+
+export function linkMemories(db, agentName, { from_id, to_id, relation, admin = false, memberships = [] }) {
+  try {
+    if (from_id === to_id) {
+      return { content: [{ type: "text", text: "Error: A memory cannot link to itself." }], isError: true };
+    }
+    const from = db.prepare("SELECT * FROM memories WHERE id = ?").get(from_id);
+    const denied = ownershipError(from, from_id, agentName, admin);
+    if (denied) return denied;
+
+    const visible = visibilityClause(agentName, memberships);
+    const to = db.prepare(`SELECT m.* FROM memories m WHERE m.id = ? AND ${visible.sql}`).get(to_id, ...visible.params);
+    if (!to) {
+      return { content: [{ type: "text", text: `Memory "${to_id}" not found.` }], isError: true };
+    }
+
+    const result = db.prepare(
+      `INSERT OR IGNORE INTO memory_links (from_id, to_id, relation, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(from_id, to_id, relation, agentName, now());
+    if (result.changes === 0) {
+      return { content: [{ type: "text", text: `Already linked: ${from_id} ${relation} ${to_id}` }] };
+    }
+
+    return { content: [{ type: "text", text: `Linked: ${from_id} ${relation} ${to_id}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function unlinkMemories(db, agentName, { from_id, to_id, relation, admin = false }) {
+  try {
+    const from = db.prepare("SELECT * FROM memories WHERE id = ?").get(from_id);
+    const denied = ownershipError(from, from_id, agentName, admin);
+    if (denied) return denied;
+
+    const clauses = ["from_id = ?", "to_id = ?"];
+    const params = [from_id, to_id];
+    if (relation) {
+      clauses.push("relation = ?");
+      params.push(relation);
+    }
+    const result = db.prepare(`DELETE FROM memory_links WHERE ${clauses.join(" AND ")}`).run(...params);
+    if (result.changes === 0) {
+      return { content: [{ type: "text", text: `No link from ${from_id} to ${to_id}.` }] };
+    }
+
+    return { content: [{ type: "text", text: `Removed ${result.changes} link(s) from ${from_id} to ${to_id}.` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
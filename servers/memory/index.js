@@ -4,29 +4,59 @@
  *
  * Store observations, learnings, facts, patterns, and preferences
  * that persist across sessions. Memories are tagged for retrieval
- * and ranked by importance.
+ * and ranked by importance, or by hybrid text + embedding similarity.
  *
  * Memory types: fact, learning, preference, observation, pattern
  *
  * Tools:
  *   - store_memory: Save a new memory with tags and importance
- *   - recall: Search memories by tags, text query, and/or type
+ *   - recall: Search memories by tags, text query, and/or type (keyword, semantic or hybrid)
  *   - list_memories: List all your memories
- *   - forget: Delete a memory by ID
+ *   - forget: Delete a memory by ID (recoverable with unforget)
  *   - update_memory: Update an existing memory's content or importance
+ *   - consolidate_memories: Merge near-duplicate memories
+ *   - prune_memories: Archive memories whose importance has decayed
+ *   - sweep_expired: Archive memories past their expiry
+ *   - share_memory: Change who can see one of your memories
+ *   - memory_history: Show a memory's earlier revisions
+ *   - restore_memory: Roll a memory back to an earlier revision
+ *   - list_forgotten: List memories you have forgotten
+ *   - unforget: Bring a forgotten memory back
+ *   - link_memories: Record a typed relationship between two memories
+ *   - unlink_memories: Remove a relationship
+ *
+ * Memories are private by default. Sharing them with a team or group uses
+ * MCP_AGENT_TEAM / MCP_AGENT_GROUPS, or "global" for every agent.
  */
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
 import { z } from "zod";
-import { createDb, getAgentName } from "../../shared/db.js";
+import { createDb, getAgentName, getAgentTeam, getAgentGroups, isAdminAgent } from "../../shared/db.js";
+import { setEmbeddingProvider } from "./embeddings.js";
 import {
   initSchema,
   MEMORY_TYPES,
+  RECALL_MODES,
+  LINK_RELATIONS,
+  MAX_EXPAND_HOPS,
   storeMemory,
   recall,
   listMemories,
   forget,
   updateMemory,
+  consolidateMemories,
+  pruneMemories,
+  sweepExpired,
+  shareMemory,
+  memoryHistory,
+  restoreMemory,
+  listForgotten,
+  unforget,
+  linkMemories,
+  unlinkMemories,
+  membershipScopes,
 } from "./handlers.js";
 
 // ── Init ─────────────────────────────────────────────────────────────
@@ -34,6 +64,16 @@ import {
 const db = createDb("memory");
 initSchema(db);
 
+// Team/group scopes this agent can read and write
+const memberships = membershipScopes(getAgentTeam(), getAgentGroups());
+
+// Optional custom embedding provider: a module whose default export is
+// { name, dimensions, embed(text) } — see embeddings.js
+if (process.env.MCP_EMBEDDING_MODULE) {
+  const mod = await import(pathToFileURL(resolve(process.env.MCP_EMBEDDING_MODULE)).href);
+  setEmbeddingProvider(mod.default);
+}
+
 const server = new McpServer({
   name: "mcp-memory",
   version: "1.0.0",
@@ -55,26 +95,36 @@ Memory types:
 Tips:
 - Use descriptive tags for easy retrieval later
 - Set higher importance (7-10) for critical operational knowledge
-- Set lower importance (1-4) for nice-to-know observations`,
+- Set lower importance (1-4) for nice-to-know observations
+- Give time-bound facts ("staging is frozen until Friday") an expires_at or ttl_days
+
+Scope: "private" (default, only you), "team" (your MCP_AGENT_TEAM), "global" (every agent), or the name of one of your MCP_AGENT_GROUPS.`,
   {
     content: z.string().max(10000).describe("The memory content — be specific and actionable"),
     memory_type: z.enum(MEMORY_TYPES).default("observation").describe("Type of memory"),
     tags: z.array(z.string().max(50)).min(1).max(10).describe("Tags for retrieval (e.g. ['deploy', 'staging', 'error'])"),
     importance: z.number().int().min(1).max(10).default(5).describe("Importance 1-10 (10 = critical operational knowledge)"),
+    scope: z.string().default("private").describe("Who can see it: private, team, global, or one of your group names"),
+    expires_at: z.string().optional().describe("ISO date/time after which the memory is hidden and swept to the archive"),
+    ttl_days: z.number().positive().optional().describe("Alternative to expires_at: expire this many days from now"),
   },
-  async (params) => storeMemory(db, getAgentName(), params)
+  async (params) => storeMemory(db, getAgentName(), { ...params, memberships })
 );
 
 server.tool(
   "recall",
-  "Search your memories by tags, text query, and/or type. Returns memories ranked by importance. Use this to recall what you know about a topic before taking action.",
+  "Search your memories by tags, text query, and/or type. Use this to recall what you know about a topic before taking action. mode 'keyword' (default) runs a full-text search (FTS5 syntax: AND, OR, NOT, \"phrase\", prefix*) ranked by BM25 with highlighted snippets; 'semantic' ranks by embedding similarity to the query; 'hybrid' combines text match, similarity, importance and recency. Searches your own memories plus any shared with you (global, your team, your groups); shared results show their scope and author. Set expand_hops to also return memories linked to the results (see link_memories).",
   {
     query: z.string().optional().describe("Text search within memory content"),
+    mode: z.enum(RECALL_MODES).default("keyword").describe("Ranking mode when a query is given"),
     tags: z.array(z.string()).optional().describe("Filter by any of these tags"),
     memory_type: z.enum([...MEMORY_TYPES, "any"]).default("any").describe("Filter by memory type"),
     limit: z.number().int().min(1).max(30).default(10).describe("Max results"),
+    scope: z.string().default("visible").describe("visible (everything you can see), private, team, global, or one of your group names"),
+    expand_hops: z.number().int().min(0).max(MAX_EXPAND_HOPS).default(0).describe("Follow memory links this many hops from the results"),
+    include_expired: z.boolean().default(false).describe("Also return memories past their expiry that haven't been swept yet"),
   },
-  async (params) => recall(db, getAgentName(), params)
+  async (params) => recall(db, getAgentName(), { ...params, memberships })
 );
 
 server.tool(
@@ -83,29 +133,141 @@ server.tool(
   {
     memory_type: z.enum([...MEMORY_TYPES, "any"]).default("any").describe("Filter by type"),
     limit: z.number().int().min(1).max(100).default(20).describe("Max results"),
+    include_expired: z.boolean().default(false).describe("Also list memories past their expiry"),
   },
   async (params) => listMemories(db, getAgentName(), params)
 );
 
 server.tool(
   "forget",
-  "Delete a memory by ID. Use when a memory is outdated or incorrect.",
+  "Delete one of your memories by ID. Use when a memory is outdated or incorrect. Forgotten memories are kept aside and can be brought back with unforget. The admin agent (MCP_ADMIN_AGENT) can delete any agent's memories.",
   {
     memory_id: z.string().describe("The memory ID to delete"),
   },
-  async (params) => forget(db, getAgentName(), params)
+  async (params) => forget(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
 );
 
 server.tool(
   "update_memory",
-  "Update an existing memory's content, importance, or tags. Use to correct or enhance a memory.",
+  "Update one of your memories' content, importance, or tags. Use to correct or enhance a memory. The previous version is kept — see memory_history. The admin agent (MCP_ADMIN_AGENT) can update any agent's memories.",
   {
     memory_id: z.string().describe("The memory ID to update"),
     content: z.string().max(10000).optional().describe("New content"),
     importance: z.number().int().min(1).max(10).optional().describe("New importance (1-10)"),
     tags: z.array(z.string().max(50)).optional().describe("New tags (replaces existing)"),
+    expires_at: z.string().nullable().optional().describe("New expiry (ISO date/time), or null to never expire"),
+    ttl_days: z.number().positive().optional().describe("Alternative to expires_at: expire this many days from now"),
+  },
+  async (params) => updateMemory(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "consolidate_memories",
+  "Find near-duplicate memories (by embedding similarity) and merge each group into its most important member (only memories of the same scope merge): tags are unioned, importance and access stats are kept at their max/sum, and the merged-away memories are archived with a pointer to the survivor.",
+  {
+    threshold: z.number().min(0.5).max(1).default(0.85).describe("Cosine similarity at or above which two memories count as duplicates"),
+    dry_run: z.boolean().default(false).describe("Only report what would be merged"),
+  },
+  async (params) => consolidateMemories(db, getAgentName(), params)
+);
+
+server.tool(
+  "prune_memories",
+  "Archive low-value memories. Effective importance decays by half every 30 days without access (MCP_MEMORY_HALF_LIFE_DAYS); memories below the threshold that have been idle long enough are moved to the archive, not deleted.",
+  {
+    min_effective_importance: z.number().min(0).max(10).default(1).describe("Archive memories whose effective importance is below this"),
+    min_idle_days: z.number().int().min(0).default(30).describe("Only consider memories not accessed for at least this many days"),
+    dry_run: z.boolean().default(false).describe("Only report what would be archived"),
+  },
+  async (params) => pruneMemories(db, getAgentName(), params)
+);
+
+server.tool(
+  "sweep_expired",
+  "Move your memories whose expires_at has passed to the archive (reason 'expired'). Expired memories are already hidden from recall and list_memories; this clears them out. The admin agent (MCP_ADMIN_AGENT) sweeps every agent's memories.",
+  {
+    dry_run: z.boolean().default(false).describe("Only report what would be archived"),
+  },
+  async (params) => sweepExpired(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "share_memory",
+  "Change the scope of one of your memories: promote a private memory to your team, a group, or every agent — or make a shared one private again. Only the author can change a memory's scope.",
+  {
+    memory_id: z.string().describe("The memory ID to share"),
+    scope: z.string().describe("New scope: private, team, global, or one of your group names"),
+  },
+  async (params) => shareMemory(db, getAgentName(), { ...params, memberships })
+);
+
+server.tool(
+  "memory_history",
+  "Show a memory's revision history: every earlier version of its content, importance and tags, with who replaced it, when, and how (update, restore, consolidate, forget).",
+  {
+    memory_id: z.string().describe("The memory ID"),
+  },
+  async (params) => memoryHistory(db, getAgentName(), { ...params, memberships, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "restore_memory",
+  "Roll one of your memories back to an earlier revision from memory_history. The version being replaced is saved as a new revision, so a restore can itself be undone.",
+  {
+    memory_id: z.string().describe("The memory ID"),
+    revision: z.number().int().min(1).describe("Revision number to restore (e.g. 2 for r2)"),
+  },
+  async (params) => restoreMemory(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "list_forgotten",
+  "List memories you have forgotten, most recent first. Bring one back with unforget.",
+  {
+    limit: z.number().int().min(1).max(100).default(20).describe("Max results"),
+  },
+  async (params) => listForgotten(db, getAgentName(), params)
+);
+
+server.tool(
+  "unforget",
+  "Bring back a memory deleted with forget, with its content, tags, importance and scope intact.",
+  {
+    memory_id: z.string().describe("The forgotten memory ID"),
+  },
+  async (params) => unforget(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "link_memories",
+  `Record a typed, directed relationship from one of your memories to another memory you can see, e.g. observation A supports pattern B.
+
+Relations:
+- supports: from is evidence for to
+- supersedes: from replaces the outdated to
+- contradicts: from conflicts with to
+- caused_by: from happened because of to
+- example_of: from is an instance of to
+- related_to: anything else
+
+recall with expand_hops follows links in both directions.`,
+  {
+    from_id: z.string().describe("Your memory the link starts from"),
+    to_id: z.string().describe("Memory the link points to"),
+    relation: z.enum(LINK_RELATIONS).describe("How from relates to to"),
+  },
+  async (params) => linkMemories(db, getAgentName(), { ...params, memberships, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "unlink_memories",
+  "Remove links from one of your memories to another — one relation, or all of them if relation is omitted.",
+  {
+    from_id: z.string().describe("Your memory the link starts from"),
+    to_id: z.string().describe("Memory the link points to"),
+    relation: z.enum(LINK_RELATIONS).optional().describe("Only remove this relation"),
   },
-  async (params) => updateMemory(db, getAgentName(), params)
+  async (params) => unlinkMemories(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
 );
 
 // ── Start ────────────────────────────────────────────────────────────
@@ -11,7 +11,28 @@ import {
   listMemories,
   forget,
   updateMemory,
+  consolidateMemories,
+  pruneMemories,
+  sweepExpired,
+  shareMemory,
+  memoryHistory,
+  restoreMemory,
+  listForgotten,
+  unforget,
+  linkMemories,
+  unlinkMemories,
+  membershipScopes,
+  effectiveImportance,
 } from "./handlers.js";
+import { getEmbeddingProvider, setEmbeddingProvider } from "./embeddings.js";
+
+// FTS5 detection
+const hasFts5 = (() => {
+  const testDb = new Database(":memory:");
+  try { testDb.exec("CREATE VIRTUAL TABLE fts_test USING fts5(content)"); return true; }
+  catch { return false; }
+  finally { testDb.close(); }
+})();
 
 let db;
 
@@ -139,6 +160,39 @@ describe("forget", () => {
   });
 });
 
+// ── ownership ───────────────────────────────────────────────────────
+
+describe("forget / updateMemory — ownership", () => {
+  it("distinguishes not found from not yours", () => {
+    const id = quickStore("alice", { content: "Alice's memory" });
+
+    const missing = forget(db, "bob", { memory_id: "deadbeef" });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain("not found");
+
+    const notYours = forget(db, "bob", { memory_id: id });
+    expect(notYours.isError).toBe(true);
+    expect(notYours.content[0].text).toContain("belongs to alice");
+
+    const update = updateMemory(db, "bob", { memory_id: id, content: "Hijacked" });
+    expect(update.isError).toBe(true);
+
+    const row = db.prepare("SELECT content FROM memories WHERE id = ?").get(id);
+    expect(row.content).toBe("Alice's memory");
+  });
+
+  it("lets an admin update and delete any agent's memory", () => {
+    const id = quickStore("alice", { content: "Stale note", importance: 2 });
+
+    const update = updateMemory(db, "janitor", { memory_id: id, importance: 1, admin: true });
+    expect(update.isError).toBeUndefined();
+
+    const result = forget(db, "janitor", { memory_id: id, admin: true });
+    expect(result.content[0].text).toContain("deleted (owned by alice)");
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(id)).toBeUndefined();
+  });
+});
+
 // ── Batch access-count update ────────────────────────────────────────
 
 describe("recall — batch access_count", () => {
@@ -185,3 +239,496 @@ describe("unicode content", () => {
     expect(result.content[0].text).toContain("✅ 部署成功 🚀");
   });
 });
+
+// ── recall — semantic & hybrid modes ────────────────────────────────
+
+describe("recall — semantic and hybrid modes", () => {
+  it("stores an embedding for each memory", () => {
+    const id = quickStore("alice", { content: "Staging IP is 10.0.1.5" });
+    const row = db.prepare("SELECT * FROM memory_embeddings WHERE memory_id = ?").get(id);
+    expect(row.provider).toBe(getEmbeddingProvider().name);
+    expect(row.vector.byteLength).toBe(getEmbeddingProvider().dimensions * 4);
+  });
+
+  it("semantic mode finds memories a substring match misses", () => {
+    quickStore("alice", { content: "Deployment to the staging server failed", tags: ["release"] });
+    quickStore("alice", { content: "User prefers concise reports", tags: ["reporting"] });
+
+    const keyword = recall(db, "alice", { query: "deploy broke staging" });
+    expect(keyword.content[0].text).toContain("No memories found");
+
+    const semantic = recall(db, "alice", { query: "deploy broke staging", mode: "semantic" });
+    expect(semantic.content[0].text).toContain("Deployment to the staging server failed");
+    expect(semantic.content[0].text).toContain("score:");
+    expect(semantic.content[0].text).not.toContain("concise reports");
+  });
+
+  it("hybrid mode ranks a text match with higher importance first", () => {
+    quickStore("alice", { content: "Staging deploys need the VPN", importance: 3 });
+    quickStore("alice", { content: "Staging deploys need a DB migration first", importance: 9 });
+
+    const result = recall(db, "alice", { query: "staging deploys", mode: "hybrid" });
+    const text = result.content[0].text;
+    expect(text.indexOf("DB migration")).toBeLessThan(text.indexOf("VPN"));
+  });
+
+  it("re-embeds and keeps vectors current on update", () => {
+    const id = quickStore("alice", { content: "Old fact about caching" });
+    updateMemory(db, "alice", { memory_id: id, content: "Kubernetes rollout strategy" });
+
+    const result = recall(db, "alice", { query: "kubernetes rollout", mode: "semantic" });
+    expect(result.content[0].text).toContain("Kubernetes rollout strategy");
+  });
+
+  it("re-embeds stale vectors when the provider changes", () => {
+    const original = getEmbeddingProvider();
+    const id = quickStore("alice", { content: "Cache warms at boot" });
+    try {
+      setEmbeddingProvider({ name: "const", dimensions: 2, embed: () => [1, 0] });
+      const result = recall(db, "alice", { query: "anything", mode: "semantic" });
+      expect(result.content[0].text).toContain("Cache warms at boot");
+      const row = db.prepare("SELECT provider FROM memory_embeddings WHERE memory_id = ?").get(id);
+      expect(row.provider).toBe("const");
+    } finally {
+      setEmbeddingProvider(original);
+    }
+  });
+
+  it("forget removes the embedding", () => {
+    const id = quickStore("alice", { content: "Temporary" });
+    forget(db, "alice", { memory_id: id });
+    expect(db.prepare("SELECT * FROM memory_embeddings WHERE memory_id = ?").get(id)).toBeUndefined();
+  });
+});
+
+// ── recall — FTS5 keyword search ────────────────────────────────────
+
+describe.skipIf(!hasFts5)("recall — FTS5 keyword search", () => {
+  it("ranks by BM25 and returns highlighted snippets with relevance", () => {
+    quickStore("alice", { content: "Redis cache is flushed nightly", importance: 9 });
+    quickStore("alice", { content: "Cache misses spike when the cache is cold after a cache flush", importance: 2 });
+
+    const result = recall(db, "alice", { query: "cache" });
+    const text = result.content[0].text;
+    expect(text.indexOf("Cache misses spike")).toBeLessThan(text.indexOf("Redis cache"));
+    expect(text).toContain("relevance:");
+    expect(text).toContain("Match: **Cache** misses");
+  });
+
+  it("supports FTS query syntax and stemming", () => {
+    quickStore("alice", { content: "Retrying after 30s fixes the flaky test" });
+    quickStore("alice", { content: "Postgres vacuum runs weekly" });
+    quickStore("alice", { content: "Unrelated note" });
+
+    const stemmed = recall(db, "alice", { query: "retry" });
+    expect(stemmed.content[0].text).toContain("Retrying after 30s");
+
+    const orQuery = recall(db, "alice", { query: "flaky OR vacuum" });
+    expect(orQuery.content[0].text).toContain("Retrying after 30s");
+    expect(orQuery.content[0].text).toContain("Postgres vacuum");
+    expect(orQuery.content[0].text).not.toContain("Unrelated");
+
+    const prefix = recall(db, "alice", { query: "postg*" });
+    expect(prefix.content[0].text).toContain("Postgres vacuum");
+  });
+
+  it("matches on tags and respects agent scoping", () => {
+    quickStore("alice", { content: "Needs VPN first", tags: ["kubernetes"] });
+    quickStore("bob", { content: "Bob's cluster note", tags: ["kubernetes"] });
+
+    const result = recall(db, "alice", { query: "kubernetes" });
+    expect(result.content[0].text).toContain("Needs VPN first");
+    expect(result.content[0].text).not.toContain("Bob's cluster note");
+  });
+
+  it("falls back to LIKE for queries that aren't valid FTS syntax", () => {
+    quickStore("alice", { content: "Staging IP is 10.0.1.5" });
+
+    const result = recall(db, "alice", { query: "10.0.1.5" });
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toContain("Staging IP is 10.0.1.5");
+  });
+
+  it("searches the words of a punctuated query that isn't valid FTS syntax", () => {
+    quickStore("alice", { content: "The IP for staging is 10.0.1.5" });
+    quickStore("alice", { content: "Staging deploys run nightly" });
+
+    const result = recall(db, "alice", { query: "staging IP?" });
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toContain("The IP for staging is 10.0.1.5");
+    expect(result.content[0].text).not.toContain("deploys run nightly");
+  });
+
+  it("falls back to a substring match when FTS finds nothing", () => {
+    quickStore("alice", { content: "Deploy to staging before prod" });
+    quickStore("bob", { content: "Bob's staging notes" });
+
+    const result = recall(db, "alice", { query: "stag" });
+    expect(result.content[0].text).toContain("Deploy to staging before prod");
+    expect(result.content[0].text).not.toContain("Bob's staging notes");
+    expect(recall(db, "alice", { query: "nowhere" }).content[0].text).toContain("No memories found");
+  });
+
+  it("indexes memories stored before the FTS table existed", () => {
+    const legacy = new Database(":memory:");
+    legacy.exec(`CREATE TABLE memories (
+      id TEXT PRIMARY KEY, agent_name TEXT NOT NULL, content TEXT NOT NULL,
+      memory_type TEXT NOT NULL DEFAULT 'observation', tags TEXT NOT NULL DEFAULT '[]',
+      importance INTEGER NOT NULL DEFAULT 5, access_count INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL, last_accessed TEXT NOT NULL)`);
+    legacy.prepare(
+      "INSERT INTO memories (id, agent_name, content, created_at, last_accessed) VALUES ('old00001', 'alice', 'Legacy rollback procedure', '2026-01-01', '2026-01-01')"
+    ).run();
+
+    initSchema(legacy);
+    const result = recall(legacy, "alice", { query: "rollback" });
+    expect(result.content[0].text).toContain("Legacy rollback procedure");
+    expect(result.content[0].text).toContain("relevance:");
+    legacy.close();
+  });
+});
+
+// ── decay, consolidation & pruning ──────────────────────────────────
+
+describe("effectiveImportance", () => {
+  it("halves after one half-life without access", () => {
+    const nowMs = Date.parse("2026-03-31T00:00:00Z");
+    const fresh = { importance: 8, access_count: 0, last_accessed: "2026-03-31T00:00:00Z" };
+    const stale = { importance: 8, access_count: 0, last_accessed: "2026-03-01T00:00:00Z" };
+    expect(effectiveImportance(fresh, nowMs)).toBeCloseTo(8, 5);
+    expect(effectiveImportance(stale, nowMs)).toBeCloseTo(4, 5);
+  });
+
+  it("boosts frequently accessed memories but caps at 10", () => {
+    const nowMs = Date.parse("2026-03-31T00:00:00Z");
+    const row = { importance: 10, access_count: 50, last_accessed: "2026-03-31T00:00:00Z" };
+    expect(effectiveImportance(row, nowMs)).toBe(10);
+    const mid = { importance: 5, access_count: 3, last_accessed: "2026-03-31T00:00:00Z" };
+    expect(effectiveImportance(mid, nowMs)).toBeCloseTo(6, 5);
+  });
+});
+
+describe("consolidateMemories", () => {
+  it("merges near-duplicates, unioning tags and keeping max importance", () => {
+    const keep = quickStore("alice", { content: "Staging server IP is 10.0.1.5", tags: ["staging"], importance: 8 });
+    const dupe = quickStore("alice", { content: "The staging server IP is 10.0.1.5", tags: ["network"], importance: 4 });
+    quickStore("alice", { content: "User prefers concise reports", tags: ["prefs"] });
+    const other = quickStore("bob", { content: "Staging server IP is 10.0.1.5", tags: ["staging"] });
+
+    const result = consolidateMemories(db, "alice", { threshold: 0.8 });
+    expect(result.content[0].text).toContain("1 memories merged");
+
+    const kept = db.prepare("SELECT * FROM memories WHERE id = ?").get(keep);
+    expect(JSON.parse(kept.tags).sort()).toEqual(["network", "staging"]);
+    expect(kept.importance).toBe(8);
+    expect(JSON.parse(kept.merged_from)).toEqual([dupe]);
+
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(dupe)).toBeUndefined();
+    const archived = db.prepare("SELECT * FROM memories_archive WHERE id = ?").get(dupe);
+    expect(archived.archive_reason).toBe("merged");
+    expect(archived.merged_into).toBe(keep);
+
+    // Other agents' memories are untouched
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(other)).toBeTruthy();
+  });
+
+  it("dry run reports without changing anything", () => {
+    quickStore("alice", { content: "Deploy needs SSH key", importance: 6 });
+    quickStore("alice", { content: "Deploy needs the SSH key", importance: 5 });
+
+    const result = consolidateMemories(db, "alice", { threshold: 0.8, dry_run: true });
+    expect(result.content[0].text).toContain("Dry run");
+    expect(db.prepare("SELECT COUNT(*) AS cnt FROM memories").get().cnt).toBe(2);
+  });
+
+  it("never merges across scopes", () => {
+    const mine = quickStore("alice", { content: "Staging server IP is 10.0.1.5", importance: 9 });
+    const shared = quickStore("alice", { content: "The staging server IP is 10.0.1.5", scope: "global", importance: 3 });
+
+    const result = consolidateMemories(db, "alice", { threshold: 0.8 });
+    expect(result.content[0].text).toContain("No near-duplicate memories found");
+    expect(db.prepare("SELECT scope FROM memories WHERE id = ?").get(shared).scope).toBe("global");
+    expect(db.prepare("SELECT id FROM memories WHERE id = ?").get(mine)).toBeTruthy();
+  });
+});
+
+describe("pruneMemories", () => {
+  it("archives decayed, idle memories instead of deleting them", () => {
+    const old = quickStore("alice", { content: "Old trivia", importance: 2 });
+    const important = quickStore("alice", { content: "Old but critical", importance: 10 });
+    const recent = quickStore("alice", { content: "Recent trivia", importance: 1 });
+    const longAgo = new Date(Date.now() - 90 * 86400000).toISOString();
+    db.prepare("UPDATE memories SET last_accessed = ? WHERE id IN (?, ?)").run(longAgo, old, important);
+
+    const result = pruneMemories(db, "alice", { min_effective_importance: 1, min_idle_days: 30 });
+    expect(result.content[0].text).toContain("Archived 1");
+
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(old)).toBeUndefined();
+    expect(db.prepare("SELECT archive_reason FROM memories_archive WHERE id = ?").get(old).archive_reason).toBe("pruned");
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(important)).toBeTruthy();
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(recent)).toBeTruthy();
+  });
+});
+
+// ── visibility scopes ───────────────────────────────────────────────
+
+describe("memory scopes", () => {
+  const infra = membershipScopes("infra", ["oncall"]);
+  const web = membershipScopes("web", []);
+
+  it("keeps memories private by default", () => {
+    quickStore("alice", { content: "Private note" });
+    const result = recall(db, "bob", { tags: ["test"], memberships: infra });
+    expect(result.content[0].text).toContain("No memories found");
+  });
+
+  it("shares team memories with teammates only", () => {
+    quickStore("alice", { content: "Staging DB is flaky", scope: "team", memberships: infra });
+
+    const teammate = recall(db, "bob", { tags: ["test"], memberships: infra });
+    expect(teammate.content[0].text).toContain("Staging DB is flaky");
+    expect(teammate.content[0].text).toContain("Scope: team:infra by alice");
+
+    const outsider = recall(db, "carol", { tags: ["test"], memberships: web });
+    expect(outsider.content[0].text).toContain("No memories found");
+  });
+
+  it("shares global and group memories", () => {
+    quickStore("alice", { content: "Everyone sees this", scope: "global" });
+    quickStore("alice", { content: "Pager rota", scope: "oncall", memberships: infra });
+
+    const carol = recall(db, "carol", { tags: ["test"], memberships: web }).content[0].text;
+    expect(carol).toContain("Everyone sees this");
+    expect(carol).not.toContain("Pager rota");
+
+    const bob = recall(db, "bob", { tags: ["test"], scope: "oncall", memberships: infra }).content[0].text;
+    expect(bob).toContain("Pager rota");
+    expect(bob).not.toContain("Everyone sees this");
+  });
+
+  it("rejects scopes the agent doesn't belong to", () => {
+    const noTeam = storeMemory(db, "alice", { content: "x", tags: ["t"], scope: "team" });
+    expect(noTeam.isError).toBe(true);
+    expect(noTeam.content[0].text).toContain("MCP_AGENT_TEAM");
+
+    const wrongGroup = storeMemory(db, "alice", { content: "x", tags: ["t"], scope: "oncall", memberships: web });
+    expect(wrongGroup.isError).toBe(true);
+  });
+
+  it("filters to own private memories", () => {
+    quickStore("alice", { content: "Mine only" });
+    quickStore("alice", { content: "Shared widely", scope: "global" });
+    const text = recall(db, "alice", { tags: ["test"], scope: "private" }).content[0].text;
+    expect(text).toContain("Mine only");
+    expect(text).not.toContain("Shared widely");
+  });
+
+  it("lets the author promote a memory and nobody else", () => {
+    const id = quickStore("alice", { content: "Promote me" });
+
+    const denied = shareMemory(db, "bob", { memory_id: id, scope: "global" });
+    expect(denied.isError).toBe(true);
+
+    const result = shareMemory(db, "alice", { memory_id: id, scope: "team", memberships: infra });
+    expect(result.content[0].text).toContain("private → team:infra");
+    expect(recall(db, "bob", { tags: ["test"], memberships: infra }).content[0].text).toContain("Promote me");
+    expect(listMemories(db, "alice", {}).content[0].text).toContain("{team:infra}");
+  });
+});
+
+// ── revisions & undo ────────────────────────────────────────────────
+
+describe("memory revisions", () => {
+  it("records each prior version and restores one", () => {
+    const id = quickStore("alice", { content: "Port is 5432", tags: ["db"], importance: 5 });
+    updateMemory(db, "alice", { memory_id: id, content: "Port is 5433" });
+    updateMemory(db, "alice", { memory_id: id, importance: 9, tags: ["db", "prod"] });
+
+    const history = memoryHistory(db, "alice", { memory_id: id }).content[0].text;
+    expect(history).toContain("r1 — replaced by alice (update)");
+    expect(history).toContain("Port is 5432");
+    expect(history).toContain("r2");
+
+    const result = restoreMemory(db, "alice", { memory_id: id, revision: 1 });
+    expect(result.content[0].text).toContain("saved as r3");
+    const row = db.prepare("SELECT content, importance, tags FROM memories WHERE id = ?").get(id);
+    expect(row.content).toBe("Port is 5432");
+    expect(row.importance).toBe(5);
+    expect(JSON.parse(row.tags)).toEqual(["db"]);
+
+    // The restore itself can be undone
+    restoreMemory(db, "alice", { memory_id: id, revision: 3 });
+    expect(db.prepare("SELECT importance FROM memories WHERE id = ?").get(id).importance).toBe(9);
+  });
+
+  it("rejects unknown revisions and other agents", () => {
+    const id = quickStore("alice", { content: "Mine" });
+    expect(restoreMemory(db, "alice", { memory_id: id, revision: 4 }).isError).toBe(true);
+    expect(memoryHistory(db, "bob", { memory_id: id }).isError).toBe(true);
+    expect(restoreMemory(db, "bob", { memory_id: id, revision: 1 }).isError).toBe(true);
+  });
+
+  it("shows history of shared memories to readers", () => {
+    const id = quickStore("alice", { content: "Shared fact", scope: "global" });
+    updateMemory(db, "alice", { memory_id: id, content: "Shared fact, corrected" });
+    expect(memoryHistory(db, "bob", { memory_id: id }).content[0].text).toContain("Shared fact");
+  });
+});
+
+describe("forget / unforget", () => {
+  it("soft-deletes and brings a memory back intact", () => {
+    const id = quickStore("alice", { content: "Recoverable", tags: ["keep"], importance: 7, scope: "global" });
+    forget(db, "alice", { memory_id: id });
+
+    expect(recall(db, "alice", { tags: ["keep"] }).content[0].text).toContain("No memories found");
+    expect(listForgotten(db, "alice", {}).content[0].text).toContain("Recoverable");
+    expect(listForgotten(db, "bob", {}).content[0].text).toContain("No forgotten memories");
+    expect(memoryHistory(db, "alice", { memory_id: id }).content[0].text).toContain("(forget)");
+
+    expect(unforget(db, "bob", { memory_id: id }).isError).toBe(true);
+    const result = unforget(db, "alice", { memory_id: id });
+    expect(result.content[0].text).toContain("restored");
+
+    const row = db.prepare("SELECT * FROM memories WHERE id = ?").get(id);
+    expect(row.importance).toBe(7);
+    expect(row.scope).toBe("global");
+    expect(recall(db, "alice", { tags: ["keep"] }).content[0].text).toContain("Recoverable");
+    expect(listForgotten(db, "alice", {}).content[0].text).toContain("No forgotten memories");
+  });
+
+  it("only unforgets forgotten memories, not pruned ones", () => {
+    const id = quickStore("alice", { content: "Old", importance: 1 });
+    db.prepare("UPDATE memories SET last_accessed = ? WHERE id = ?")
+      .run(new Date(Date.now() - 120 * 86400000).toISOString(), id);
+    pruneMemories(db, "alice", {});
+    const result = unforget(db, "alice", { memory_id: id });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("was archived (pruned)");
+    expect(result.content[0].text).not.toContain("unforget");
+    expect(restoreMemory(db, "alice", { memory_id: id, revision: 1 }).content[0].text).toContain("was archived (pruned)");
+  });
+
+  it("only points restore_memory at unforget for forgotten memories", () => {
+    const id = quickStore("alice", { content: "Gone" });
+    forget(db, "alice", { memory_id: id });
+    expect(restoreMemory(db, "alice", { memory_id: id, revision: 1 }).content[0].text).toContain("was forgotten — unforget it first");
+  });
+});
+
+// ── links ───────────────────────────────────────────────────────────
+
+describe("memory links", () => {
+  it("expands recall along links, one or two hops", () => {
+    const pattern = quickStore("alice", { content: "Deploys fail under high DB load", memory_type: "pattern", tags: ["deploy"] });
+    const obs = quickStore("alice", { content: "Tuesday deploy failed at 95% DB CPU", tags: ["incident"] });
+    const cause = quickStore("alice", { content: "Nightly report job hammers the DB", tags: ["reports"] });
+    linkMemories(db, "alice", { from_id: obs, to_id: pattern, relation: "supports" });
+    linkMemories(db, "alice", { from_id: obs, to_id: cause, relation: "caused_by" });
+
+    const plain = recall(db, "alice", { tags: ["deploy"] }).content[0].text;
+    expect(plain).not.toContain("Linked memories");
+
+    const oneHop = recall(db, "alice", { tags: ["deploy"], expand_hops: 1 }).content[0].text;
+    expect(oneHop).toContain(`↳ [${obs}]`);
+    expect(oneHop).toContain(`via ${obs} supports ${pattern} (hop 1)`);
+    expect(oneHop).not.toContain(cause);
+
+    const twoHops = recall(db, "alice", { tags: ["deploy"], expand_hops: 2 }).content[0].text;
+    expect(twoHops).toContain(`via ${obs} caused_by ${cause} (hop 2)`);
+  });
+
+  it("only expands to memories the agent can see", () => {
+    const mine = quickStore("bob", { content: "Bob's pattern", tags: ["deploy"], scope: "global" });
+    const secret = quickStore("alice", { content: "Alice's private note" });
+    linkMemories(db, "alice", { from_id: secret, to_id: mine, relation: "supports" });
+
+    const text = recall(db, "bob", { tags: ["deploy"], expand_hops: 1 }).content[0].text;
+    expect(text).not.toContain("Alice's private note");
+  });
+
+  it("requires owning the source and seeing the target", () => {
+    const a = quickStore("alice", { content: "A" });
+    const b = quickStore("bob", { content: "B" });
+    expect(linkMemories(db, "bob", { from_id: a, to_id: b, relation: "related_to" }).isError).toBe(true);
+    expect(linkMemories(db, "alice", { from_id: a, to_id: b, relation: "related_to" }).isError).toBe(true);
+    expect(linkMemories(db, "alice", { from_id: a, to_id: a, relation: "related_to" }).isError).toBe(true);
+  });
+
+  it("unlinks and ignores duplicate links", () => {
+    const a = quickStore("alice", { content: "A" });
+    const b = quickStore("alice", { content: "B" });
+    linkMemories(db, "alice", { from_id: a, to_id: b, relation: "supersedes" });
+    expect(linkMemories(db, "alice", { from_id: a, to_id: b, relation: "supersedes" }).content[0].text).toContain("Already linked");
+
+    expect(unlinkMemories(db, "alice", { from_id: a, to_id: b }).content[0].text).toContain("Removed 1");
+    expect(db.prepare("SELECT COUNT(*) AS cnt FROM memory_links").get().cnt).toBe(0);
+  });
+
+  it("moves links to the survivor when memories are consolidated", () => {
+    const keep = quickStore("alice", { content: "Deploy needs SSH key", importance: 6 });
+    const dupe = quickStore("alice", { content: "Deploy needs the SSH key", importance: 5 });
+    const other = quickStore("alice", { content: "Unrelated: lunch is at noon", tags: ["misc"] });
+    linkMemories(db, "alice", { from_id: other, to_id: dupe, relation: "related_to" });
+
+    consolidateMemories(db, "alice", { threshold: 0.8 });
+    const link = db.prepare("SELECT * FROM memory_links").get();
+    expect(link.from_id).toBe(other);
+    expect(link.to_id).toBe(keep);
+  });
+});
+
+// ── expiry ──────────────────────────────────────────────────────────
+
+describe("memory expiry", () => {
+  const past = () => new Date(Date.now() - 86400000).toISOString();
+
+  it("hides expired memories from recall and list unless asked", () => {
+    quickStore("alice", { content: "Staging is frozen until Friday", expires_at: past() });
+    quickStore("alice", { content: "Staging runs on k8s", ttl_days: 7 });
+
+    const recalled = recall(db, "alice", { tags: ["test"] }).content[0].text;
+    expect(recalled).not.toContain("frozen");
+    expect(recalled).toContain("Expires:");
+
+    const withExpired = recall(db, "alice", { tags: ["test"], include_expired: true }).content[0].text;
+    expect(withExpired).toContain("frozen");
+    expect(withExpired).toContain("Expired:");
+
+    expect(listMemories(db, "alice", {}).content[0].text).not.toContain("frozen");
+    expect(listMemories(db, "alice", { include_expired: true }).content[0].text).toContain("(expired)");
+  });
+
+  it("validates expiry input", () => {
+    expect(storeMemory(db, "alice", { content: "x", tags: ["t"], expires_at: "someday" }).isError).toBe(true);
+    expect(storeMemory(db, "alice", { content: "x", tags: ["t"], expires_at: past(), ttl_days: 1 }).isError).toBe(true);
+  });
+
+  it("sets and clears expiry on update", () => {
+    const id = quickStore("alice", { content: "Temporary" });
+    updateMemory(db, "alice", { memory_id: id, ttl_days: 2 });
+    expect(db.prepare("SELECT expires_at FROM memories WHERE id = ?").get(id).expires_at).toBeTruthy();
+
+    updateMemory(db, "alice", { memory_id: id, expires_at: null });
+    expect(db.prepare("SELECT expires_at FROM memories WHERE id = ?").get(id).expires_at).toBeNull();
+  });
+
+  it("sweeps expired memories to the archive", () => {
+    const gone = quickStore("alice", { content: "Old freeze", expires_at: past() });
+    const bobs = quickStore("bob", { content: "Bob's old freeze", expires_at: past() });
+    const kept = quickStore("alice", { content: "Still valid", ttl_days: 1 });
+
+    const dry = sweepExpired(db, "alice", { dry_run: true });
+    expect(dry.content[0].text).toContain("Dry run: 1");
+
+    sweepExpired(db, "alice", {});
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(gone)).toBeUndefined();
+    const archived = db.prepare("SELECT * FROM memories_archive WHERE id = ?").get(gone);
+    expect(archived.archive_reason).toBe("expired");
+    expect(archived.expires_at).toBeTruthy();
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(kept)).toBeTruthy();
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(bobs)).toBeTruthy();
+
+    sweepExpired(db, "janitor", { admin: true });
+    expect(db.prepare("SELECT * FROM memories WHERE id = ?").get(bobs)).toBeUndefined();
+  });
+});
@@ -11,8 +11,81 @@ CREATE TABLE IF NOT EXISTS memories (
   importance INTEGER NOT NULL DEFAULT 5,
   access_count INTEGER DEFAULT 0,
   created_at TEXT NOT NULL,
-  last_accessed TEXT NOT NULL
+  last_accessed TEXT NOT NULL,
+  merged_from TEXT NOT NULL DEFAULT '[]',
+  scope TEXT NOT NULL DEFAULT 'private',     -- private | global | team:<name> | group:<name>
+  expires_at TEXT                            -- NULL = never expires
 );
 
+CREATE TABLE IF NOT EXISTS memories_archive (
+  id TEXT PRIMARY KEY,
+  agent_name TEXT NOT NULL,
+  content TEXT NOT NULL,
+  memory_type TEXT NOT NULL,
+  tags TEXT NOT NULL DEFAULT '[]',
+  importance INTEGER NOT NULL,
+  access_count INTEGER DEFAULT 0,
+  created_at TEXT NOT NULL,
+  last_accessed TEXT NOT NULL,
+  merged_from TEXT NOT NULL DEFAULT '[]',
+  scope TEXT NOT NULL DEFAULT 'private',
+  expires_at TEXT,
+  archived_at TEXT NOT NULL,
+  archive_reason TEXT NOT NULL,
+  merged_into TEXT
+);
+
+-- One row per replaced version: the state *before* `action` changed it
+CREATE TABLE IF NOT EXISTS memory_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  memory_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,                 -- 1, 2, 3… per memory
+  content TEXT NOT NULL,
+  importance INTEGER NOT NULL,
+  tags TEXT NOT NULL DEFAULT '[]',
+  action TEXT NOT NULL,                      -- update | restore | consolidate | forget
+  edited_by TEXT NOT NULL,
+  edited_at TEXT NOT NULL,
+  UNIQUE(memory_id, revision)
+);
+
+-- Directed, typed edges: "from_id <relation> to_id"
+CREATE TABLE IF NOT EXISTS memory_links (
+  from_id TEXT NOT NULL,
+  to_id TEXT NOT NULL,
+  relation TEXT NOT NULL,                    -- supports | supersedes | contradicts | caused_by | example_of | related_to
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (from_id, to_id, relation)
+);
+
+CREATE TABLE IF NOT EXISTS memory_embeddings (
+  memory_id TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  vector BLOB NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+  content, tags, content=memories, content_rowid=rowid, tokenize='porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+  INSERT INTO memories_fts(rowid, content, tags) VALUES (new.rowid, new.content, new.tags);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, content, tags) VALUES('delete', old.rowid, old.content, old.tags);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE OF content, tags ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, content, tags) VALUES('delete', old.rowid, old.content, old.tags);
+  INSERT INTO memories_fts(rowid, content, tags) VALUES (new.rowid, new.content, new.tags);
+END;
+
 CREATE INDEX IF NOT EXISTS idx_memories_agent ON memories(agent_name);
 CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(agent_name, memory_type);
+CREATE INDEX IF NOT EXISTS idx_memories_scope ON memories(scope);
+CREATE INDEX IF NOT EXISTS idx_memories_expires ON memories(expires_at);
+CREATE INDEX IF NOT EXISTS idx_memories_archive_agent ON memories_archive(agent_name);
+CREATE INDEX IF NOT EXISTS idx_memory_links_to ON memory_links(to_id);
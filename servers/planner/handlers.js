@@ -2,7 +2,9 @@
  * Planner handler functions — pure logic extracted for testability.
  * Each handler accepts (db, agentName, params) and returns MCP-compatible results.
  */
-import { uuid8, now } from "../../shared/db.js";
+import { uuid8, now, ensureColumn } from "../../shared/db.js";
+import { buildWhereClause, safeJsonParse } from "../../shared/query.js";
+import { createTask, updateTask } from "../taskboard/handlers.js";
 
 // ── Schema ───────────────────────────────────────────────────────────
 
@@ -20,68 +22,659 @@ export function initSchema(db) {
       completed_at TEXT
     );
 
+    CREATE TABLE IF NOT EXISTS plan_focus (
+      agent_name TEXT PRIMARY KEY,
+      plan_id TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_steps (
+      plan_id TEXT NOT NULL REFERENCES plans(id),
+      step_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      notes TEXT NOT NULL DEFAULT '',
+      depends_on TEXT NOT NULL DEFAULT '[]',
+      started_at TEXT,
+      completed_at TEXT,
+      blocked_reason TEXT,
+      PRIMARY KEY (plan_id, step_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_step_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      step_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_by TEXT NOT NULL,
+      changed_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_grants (
+      plan_id TEXT NOT NULL,
+      agent_name TEXT NOT NULL,
+      access TEXT NOT NULL,
+      granted_by TEXT NOT NULL,
+      granted_at TEXT NOT NULL,
+      PRIMARY KEY (plan_id, agent_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_teams (
+      agent_name TEXT PRIMARY KEY,
+      team TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_by TEXT NOT NULL,
+      changed_at TEXT NOT NULL,
+      note TEXT
+    );
+
+    -- Append-only progress log; rows with a checkpoint mark where work can resume
+    CREATE TABLE IF NOT EXISTS plan_step_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      step_id INTEGER NOT NULL,
+      agent_name TEXT NOT NULL,
+      message TEXT NOT NULL,
+      checkpoint TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    -- Templates are written once and read whole, so steps stay JSON here
+    CREATE TABLE IF NOT EXISTS plan_templates (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      description TEXT,
+      steps TEXT NOT NULL DEFAULT '[]',
+      variables TEXT NOT NULL DEFAULT '[]',
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
     CREATE INDEX IF NOT EXISTS idx_plans_agent ON plans(agent_name);
     CREATE INDEX IF NOT EXISTS idx_plans_status ON plans(agent_name, status);
+    CREATE INDEX IF NOT EXISTS idx_plan_steps_status ON plan_steps(status);
+    CREATE INDEX IF NOT EXISTS idx_step_history_step ON plan_step_history(plan_id, step_id);
+    CREATE INDEX IF NOT EXISTS idx_step_history_time ON plan_step_history(changed_at);
+    CREATE INDEX IF NOT EXISTS idx_step_log_step ON plan_step_log(plan_id, step_id);
+    CREATE INDEX IF NOT EXISTS idx_plan_history_plan ON plan_history(plan_id);
+    CREATE INDEX IF NOT EXISTS idx_plan_grants_agent ON plan_grants(agent_name);
   `);
+
+  ensureColumn(db, "plans", "parent_plan_id", "TEXT");
+  ensureColumn(db, "plans", "parent_step_id", "INTEGER");
+  ensureColumn(db, "plan_steps", "estimate_minutes", "INTEGER");
+  ensureColumn(db, "plan_steps", "task_ref", "TEXT");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_plan_steps_task ON plan_steps(task_ref)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_plans_parent ON plans(parent_plan_id)");
+
+  migrateJsonSteps(db);
+}
+
+/**
+ * Move steps from the legacy plans.steps JSON blob into plan_steps.
+ * Plans whose blob can't be parsed are left untouched.
+ */
+function migrateJsonSteps(db) {
+  const legacy = db.prepare(
+    `SELECT id, steps FROM plans
+     WHERE steps != '[]' AND NOT EXISTS (SELECT 1 FROM plan_steps ps WHERE ps.plan_id = plans.id)`
+  ).all();
+  if (legacy.length === 0) return;
+
+  const insert = db.prepare(
+    `INSERT INTO plan_steps
+     (plan_id, step_id, position, description, status, notes, depends_on, completed_at, blocked_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const clear = db.prepare("UPDATE plans SET steps = '[]' WHERE id = ?");
+
+  db.transaction(() => {
+    for (const plan of legacy) {
+      const steps = safeJsonParse(plan.steps, null, `plan ${plan.id} steps`);
+      if (!Array.isArray(steps)) continue;
+      steps.forEach((s, i) => {
+        const status = s.status || "pending";
+        insert.run(
+          plan.id, s.id ?? i + 1, i, s.description ?? "", status, s.notes || "",
+          JSON.stringify(s.depends_on || []), s.completed_at || null,
+          status === "blocked" ? s.notes || null : null
+        );
+      });
+      clear.run(plan.id);
+    }
+  })();
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
+/**
+ * Load a plan's steps in order, in the same shape the JSON blob used to have
+ * plus started_at and blocked_reason.
+ * @returns {object[]}
+ */
+export function getSteps(db, planId) {
+  return db.prepare("SELECT * FROM plan_steps WHERE plan_id = ? ORDER BY position").all(planId).map((r) => ({
+    id: r.step_id,
+    description: r.description,
+    status: r.status,
+    notes: r.notes,
+    depends_on: safeJsonParse(r.depends_on, [], `plan ${planId} step ${r.step_id} depends_on`),
+    estimate_minutes: r.estimate_minutes,
+    task_ref: r.task_ref,
+    started_at: r.started_at,
+    completed_at: r.completed_at,
+    blocked_reason: r.blocked_reason,
+  }));
+}
+
+/**
+ * Persist a plan's full step list: positions follow array order, missing
+ * steps are deleted and every status change is recorded in plan_step_history.
+ * Stamps started_at on the first move to in_progress, completed_at on done,
+ * and clears blocked_reason once a step is no longer blocked.
+ */
+function writeSteps(db, planId, steps, changedBy) {
+  const before = new Map(getSteps(db, planId).map((s) => [s.id, s]));
+  const ts = now();
+  const upsert = db.prepare(
+    `INSERT INTO plan_steps
+     (plan_id, step_id, position, description, status, notes, depends_on, estimate_minutes, task_ref, started_at, completed_at, blocked_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(plan_id, step_id) DO UPDATE SET
+       position = excluded.position, description = excluded.description, status = excluded.status,
+       notes = excluded.notes, depends_on = excluded.depends_on, estimate_minutes = excluded.estimate_minutes, task_ref = excluded.task_ref,
+       started_at = excluded.started_at, completed_at = excluded.completed_at, blocked_reason = excluded.blocked_reason`
+  );
+  const logStatus = db.prepare(
+    `INSERT INTO plan_step_history (plan_id, step_id, from_status, to_status, changed_by, changed_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+
+  db.transaction(() => {
+    steps.forEach((s, i) => {
+      const prev = before.get(s.id);
+      before.delete(s.id);
+      if (!prev || prev.status !== s.status) {
+        logStatus.run(planId, s.id, prev?.status ?? null, s.status, changedBy, ts);
+        if (s.status === "in_progress" && !s.started_at) s.started_at = ts;
+        if (s.status === "done" && !s.completed_at) s.completed_at = ts;
+      }
+      if (s.status !== "blocked") s.blocked_reason = null;
+      upsert.run(
+        planId, s.id, i, s.description, s.status, s.notes || "", JSON.stringify(s.depends_on || []),
+        s.estimate_minutes ?? null, s.task_ref || null, s.started_at || null, s.completed_at || null, s.blocked_reason || null
+      );
+    });
+    const remove = db.prepare("DELETE FROM plan_steps WHERE plan_id = ? AND step_id = ?");
+    for (const id of before.keys()) remove.run(planId, id);
+  })();
+}
+
+// A prerequisite is satisfied once it is done or deliberately skipped
+const SATISFIED_STATUSES = ["done", "skipped"];
+
+// Starting work (or finishing it) requires satisfied prerequisites
+const GATED_STATUSES = ["in_progress", "done"];
+
+// Plans that can still be worked on, edited, completed or abandoned
+const OPEN_STATUSES = ["active", "paused"];
+
+// Access to a plan: its owner has full control, other agents only what share_plan grants
+const ACCESS_LEVELS = { read: 1, write: 2, owner: 3 };
+
+// SQL condition (params: agentName, agentName) for plans an agent may read
+const READABLE_PLANS = "(agent_name = ? OR id IN (SELECT plan_id FROM plan_grants WHERE agent_name = ?))";
+
+// SQL condition (params: team) for plans owned by members of a team
+const TEAM_PLANS = "agent_name IN (SELECT agent_name FROM agent_teams WHERE team = ?)";
+
+/**
+ * Plans covered by team_plans and stale_report: the admin sees everything,
+ * other agents their own and shared plans plus their team's.
+ * @returns {{condition: string|null, params: string[], label: string}}
+ */
+function overviewScope(agentName, admin, team) {
+  if (admin) return { condition: null, params: [], label: "all agents" };
+  if (team) {
+    return {
+      condition: `(${READABLE_PLANS} OR ${TEAM_PLANS})`,
+      params: [agentName, agentName, team],
+      label: `team ${team}, plus your own and shared plans`,
+    };
+  }
+  return { condition: READABLE_PLANS, params: [agentName, agentName], label: "your own and shared plans" };
+}
+
+// Finished plans that reopen_plan can bring back
+const REOPENABLE_STATUSES = ["completed", "abandoned", "superseded"];
+
+// Upper bound once plans are edited in place (create_plan itself allows 20)
+export const MAX_PLAN_STEPS = 50;
+
 export function computeProgress(steps) {
   const done = steps.filter((s) => s.status === "done").length;
   return `${done}/${steps.length}`;
 }
 
-export function formatPlan(plan, steps) {
+/**
+ * Prerequisite step ids of `step` that are not yet done or skipped.
+ * @returns {number[]}
+ */
+export function unmetDependencies(step, steps) {
+  return (step.depends_on || []).filter((depId) => {
+    const dep = steps.find((s) => s.id === depId);
+    return dep && !SATISFIED_STATUSES.includes(dep.status);
+  });
+}
+
+/**
+ * Pending steps whose prerequisites are all done or skipped.
+ */
+export function readySteps(steps) {
+  return steps.filter((s) => s.status === "pending" && unmetDependencies(s, steps).length === 0);
+}
+
+/**
+ * Check that every depends_on entry names another existing step and that
+ * the dependency graph has no cycles.
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateDependencies(steps) {
+  const byId = new Map(steps.map((s) => [s.id, s]));
+  for (const step of steps) {
+    for (const depId of step.depends_on || []) {
+      if (depId === step.id) return `Step ${step.id} cannot depend on itself.`;
+      if (!byId.has(depId)) return `Step ${step.id} depends on unknown step ${depId}.`;
+    }
+  }
+
+  // DFS with an explicit "on the current path" set to find a cycle
+  const state = new Map(); // id → "visiting" | "done"
+  const visit = (id, path) => {
+    if (state.get(id) === "done") return null;
+    if (state.get(id) === "visiting") return [...path.slice(path.indexOf(id)), id];
+    state.set(id, "visiting");
+    for (const depId of byId.get(id).depends_on || []) {
+      const cycle = visit(depId, [...path, id]);
+      if (cycle) return cycle;
+    }
+    state.set(id, "done");
+    return null;
+  };
+  for (const step of steps) {
+    const cycle = visit(step.id, []);
+    if (cycle) return `Dependency cycle: ${cycle.join(" → ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Depth of each step in the dependency DAG (0 = no prerequisites).
+ * Assumes the graph is acyclic.
+ * @returns {Map<number, number>}
+ */
+function dependencyDepths(steps) {
+  const byId = new Map(steps.map((s) => [s.id, s]));
+  const depths = new Map();
+  const depth = (step) => {
+    if (depths.has(step.id)) return depths.get(step.id);
+    const deps = (step.depends_on || []).map((id) => byId.get(id)).filter(Boolean);
+    const d = deps.length === 0 ? 0 : 1 + Math.max(...deps.map(depth));
+    depths.set(step.id, d);
+    return d;
+  };
+  steps.forEach(depth);
+  return depths;
+}
+
+/**
+ * The agent's current plan: its focused plan if that is still active (and,
+ * for a shared plan, still writable), otherwise its most recently created
+ * active plan.
+ */
+export function currentPlan(db, agentName) {
+  const focused = db.prepare(
+    `SELECT p.* FROM plan_focus f JOIN plans p ON p.id = f.plan_id
+     WHERE f.agent_name = ? AND p.status = 'active'
+       AND (p.agent_name = f.agent_name OR EXISTS (
+         SELECT 1 FROM plan_grants g WHERE g.plan_id = p.id AND g.agent_name = f.agent_name AND g.access = 'write'
+       ))`
+  ).get(agentName);
+  if (focused) return focused;
+  return db.prepare(
+    "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
+  ).get(agentName);
+}
+
+/**
+ * The agent's access to a plan: "owner", a share_plan grant ("read" or
+ * "write"), or null.
+ */
+export function planAccess(db, plan, agentName) {
+  if (plan.agent_name === agentName) return "owner";
+  const grant = db.prepare("SELECT access FROM plan_grants WHERE plan_id = ? AND agent_name = ?").get(plan.id, agentName);
+  return grant?.access ?? null;
+}
+
+/**
+ * A plan by id, or the agent's current plan when no id is given. Plans the
+ * agent has no access to are treated as missing; a read-only grant used for
+ * a write throws so the handler reports it.
+ * @param {"read"|"write"|"owner"} [need="read"]
+ */
+function findPlan(db, agentName, plan_id, need = "read") {
+  if (!plan_id) return currentPlan(db, agentName);
+
+  const plan = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan_id);
+  if (!plan) return null;
+  const access = planAccess(db, plan, agentName);
+  if (!access) return null;
+  if (ACCESS_LEVELS[access] < ACCESS_LEVELS[need]) {
+    throw new Error(need === "owner"
+      ? `Only ${plan.agent_name} (the owner) can do this to plan ${plan.id}.`
+      : `Plan ${plan.id} belongs to ${plan.agent_name} and is shared with you read-only.`);
+  }
+  return plan;
+}
+
+function setFocus(db, agentName, planId) {
+  db.prepare(
+    `INSERT INTO plan_focus (agent_name, plan_id, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(agent_name) DO UPDATE SET plan_id = excluded.plan_id, updated_at = excluded.updated_at`
+  ).run(agentName, planId, now());
+}
+
+/**
+ * Sub-plans of a plan, keyed by the parent step they expand.
+ * @returns {Map<number, object[]>}
+ */
+export function getSubPlans(db, planId) {
+  const rows = db.prepare(
+    "SELECT id, title, status, progress, parent_step_id FROM plans WHERE parent_plan_id = ? ORDER BY created_at"
+  ).all(planId);
+  const byStep = new Map();
+  for (const r of rows) {
+    if (!byStep.has(r.parent_step_id)) byStep.set(r.parent_step_id, []);
+    byStep.get(r.parent_step_id).push(r);
+  }
+  return byStep;
+}
+
+/**
+ * Record a plan status change in plan_history (from_status is null on creation).
+ */
+function recordPlanStatus(db, planId, fromStatus, toStatus, changedBy, note = null) {
+  db.prepare(
+    `INSERT INTO plan_history (plan_id, from_status, to_status, changed_by, changed_at, note)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(planId, fromStatus, toStatus, changedBy, now(), note);
+}
+
+/**
+ * Supersede the agent's active plans in favour of planId, rolling each up to
+ * its parent if it was a sub-plan.
+ */
+function supersedeActivePlans(db, agentName, planId, changedBy = agentName) {
+  const superseded = db.prepare(
+    "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' AND id != ?"
+  ).all(agentName, planId);
+  db.prepare(
+    `UPDATE plans SET status = 'superseded', updated_at = ?
+     WHERE agent_name = ? AND status = 'active' AND id != ?`
+  ).run(now(), agentName, planId);
+  for (const p of superseded) {
+    recordPlanStatus(db, p.id, "active", "superseded", changedBy, `Superseded by ${planId}`);
+    rollUpToParent(db, p, "superseded");
+  }
+}
+
+/**
+ * Roll a finished sub-plan up into its parent step: completed → step done,
+ * abandoned or superseded → step blocked. A parent plan whose steps are then
+ * all finished completes too, and rolls up to its own parent in turn.
+ * @returns {string[]} one line per plan that changed
+ */
+function rollUpToParent(db, child, outcome) {
+  if (!child.parent_plan_id) return [];
+  const parent = db.prepare("SELECT * FROM plans WHERE id = ?").get(child.parent_plan_id);
+  if (!parent || !OPEN_STATUSES.includes(parent.status)) return [];
+
+  const steps = getSteps(db, parent.id);
+  const step = steps.find((s) => s.id === child.parent_step_id);
+  if (!step) return [];
+
+  const ts = now();
+  const note = `Sub-plan ${child.id} ${outcome}`;
+  step.status = outcome === "completed" ? "done" : "blocked";
+  if (step.status === "done") step.completed_at = ts;
+  step.notes = step.notes ? `${step.notes}; ${note}` : note;
+  if (step.status === "blocked") step.blocked_reason = note;
+
+  const progress = computeProgress(steps);
+  const allDone = steps.every((s) => SATISFIED_STATUSES.includes(s.status));
+  writeSteps(db, parent.id, steps, child.agent_name);
+  db.prepare(
+    `UPDATE plans SET progress = ?, status = ?, completed_at = ?, updated_at = ? WHERE id = ?`
+  ).run(progress, allDone ? "completed" : parent.status, allDone ? ts : parent.completed_at, ts, parent.id);
+  if (allDone) recordPlanStatus(db, parent.id, parent.status, "completed", child.agent_name, `Sub-plan ${child.id} completed`);
+
+  // Whoever was focused on the sub-plan goes back to the parent
+  if (!allDone && parent.status === "active") {
+    db.prepare("UPDATE plan_focus SET plan_id = ?, updated_at = ? WHERE plan_id = ?").run(parent.id, ts, child.id);
+  }
+
+  const lines = [`Parent plan "${parent.title}": step ${step.id} → ${step.status} (${progress})`];
+  if (allDone) {
+    lines.push(`Parent plan "${parent.title}" completed.`);
+    lines.push(...rollUpToParent(db, parent, "completed"));
+  }
+  return lines;
+}
+
+/**
+ * Persist a status change and the plan's progress. Once every step is done or
+ * skipped the plan completes and rolls up to its parent.
+ * @returns {{progress: string, allDone: boolean, rolled: string[]}}
+ */
+function commitSteps(db, agentName, plan, steps) {
+  const progress = computeProgress(steps);
+  const ts = now();
+  const allDone = steps.every((s) => SATISFIED_STATUSES.includes(s.status));
+
+  writeSteps(db, plan.id, steps, agentName);
+  if (allDone) {
+    db.prepare(
+      `UPDATE plans SET progress = ?, status = 'completed',
+       completed_at = ?, updated_at = ? WHERE id = ?`
+    ).run(progress, ts, ts, plan.id);
+  } else {
+    db.prepare("UPDATE plans SET progress = ?, updated_at = ? WHERE id = ?").run(progress, ts, plan.id);
+  }
+  if (allDone) recordPlanStatus(db, plan.id, plan.status, "completed", agentName, "All steps done or skipped");
+
+  const rolled = allDone ? rollUpToParent(db, plan, "completed") : [];
+  return { progress, allDone, rolled };
+}
+
+/**
+ * Next unused step id. Ids are never reused, so notes and depends_on
+ * references stay valid as steps are added and removed.
+ */
+function nextStepId(steps) {
+  return steps.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+}
+
+/**
+ * Load an active plan (the given one, or the agent's current one) for editing.
+ * @returns {{plan?: object, steps?: object[], error?: object}}
+ */
+function loadEditablePlan(db, agentName, plan_id) {
+  const plan = findPlan(db, agentName, plan_id, "write");
+
+  if (!plan) {
+    return { error: { content: [{ type: "text", text: "No active plan found. Create one with create_plan first." }] } };
+  }
+  if (!OPEN_STATUSES.includes(plan.status)) {
+    return { error: { content: [{ type: "text", text: `Error: Plan ${plan.id} is ${plan.status}; only active or paused plans can be edited.` }], isError: true } };
+  }
+
+  return { plan, steps: getSteps(db, plan.id) };
+}
+
+/**
+ * Validate and persist an edited step list, returning the MCP result. An edit
+ * that leaves every step done or skipped completes the plan.
+ */
+function saveEditedSteps(db, agentName, plan, steps, message) {
+  const depError = validateDependencies(steps);
+  if (depError) {
+    return { content: [{ type: "text", text: `Error: ${depError}` }], isError: true };
+  }
+  if (steps.length > MAX_PLAN_STEPS) {
+    return { content: [{ type: "text", text: `Error: Plans are limited to ${MAX_PLAN_STEPS} steps.` }], isError: true };
+  }
+
+  const { progress, allDone, rolled } = commitSteps(db, agentName, plan, steps);
+
+  let text = `${message}\n\n${formatPlan({ ...plan, progress, status: allDone ? "completed" : plan.status }, steps)}`;
+  if (allDone) {
+    text += "\n\nAll steps complete! Plan marked as completed.";
+    if (rolled.length > 0) text += `\n${rolled.join("\n")}`;
+  }
+  return { content: [{ type: "text", text }] };
+}
+
+/**
+ * Minutes between a step's first start and its completion, or null if untimed.
+ */
+function stepMinutes(step) {
+  if (!step.started_at || !step.completed_at) return null;
+  return Math.max(0, (Date.parse(step.completed_at) - Date.parse(step.started_at)) / 60000);
+}
+
+function formatMinutes(minutes) {
+  const m = Math.round(minutes);
+  if (m < 60) return `${m}m`;
+  return m % 60 === 0 ? `${m / 60}h` : `${Math.floor(m / 60)}h ${m % 60}m`;
+}
+
+function stepNotFound(stepId, steps) {
+  return {
+    content: [{ type: "text", text: `Step ${stepId} not found. Plan has steps ${steps.map((s) => s.id).join(", ")}.` }],
+    isError: true,
+  };
+}
+
+export function formatPlan(plan, steps, subPlans = new Map()) {
   const lines = [`Plan: ${plan.title} [${plan.status}] (${plan.progress})`];
-  lines.push(`ID: ${plan.id} | Created: ${plan.created_at}`);
+  const parentNote = plan.parent_plan_id ? ` | Sub-plan of ${plan.parent_plan_id} step ${plan.parent_step_id}` : "";
+  lines.push(`ID: ${plan.id} | Created: ${plan.created_at}${parentNote}`);
   lines.push("");
+
+  // Plans with dependencies are indented by DAG depth so parallel branches line up
+  const hasDeps = steps.some((s) => (s.depends_on || []).length > 0);
+  const depths = hasDeps ? dependencyDepths(steps) : null;
+  const ready = new Set(readySteps(steps).map((s) => s.id));
+
   for (const step of steps) {
     const icon =
       step.status === "done" ? "✓" :
       step.status === "in_progress" ? "▸" :
       step.status === "blocked" ? "✗" :
       step.status === "skipped" ? "–" : "○";
-    let line = `  ${icon} Step ${step.id}: ${step.description} [${step.status}]`;
+    const indent = "  ".repeat(hasDeps ? depths.get(step.id) : 0);
+    let line = `  ${indent}${icon} Step ${step.id}: ${step.description} [${step.status}]`;
+    if (step.depends_on?.length) line += ` ← after ${step.depends_on.join(", ")}`;
+    if (hasDeps && ready.has(step.id)) line += " (ready)";
+    if (step.estimate_minutes) line += ` ~${formatMinutes(step.estimate_minutes)}`;
+    const took = step.status === "done" ? stepMinutes(step) : null;
+    if (took !== null) line += ` (took ${formatMinutes(took)})`;
+    if (step.task_ref) line += ` [task ${step.task_ref}]`;
     if (step.notes) line += ` — ${step.notes}`;
     lines.push(line);
+    for (const sub of subPlans.get(step.id) || []) {
+      lines.push(`  ${indent}    ↳ Sub-plan [${sub.id}] ${sub.title} [${sub.status}] (${sub.progress})`);
+    }
   }
   return lines.join("\n");
 }
 
 // ── Handlers ─────────────────────────────────────────────────────────
 
-export function createPlan(db, agentName, { title, steps }) {
+export function createPlan(db, agentName, { title, steps, concurrent = false, parent_plan_id, parent_step_id }) {
   try {
     const planId = uuid8();
     const ts = now();
 
-    // Supersede any existing active plan
-    db.prepare(
-      `UPDATE plans SET status = 'superseded', updated_at = ?
-       WHERE agent_name = ? AND status = 'active'`
-    ).run(ts, agentName);
+    if ((parent_plan_id === undefined) !== (parent_step_id === undefined)) {
+      return { content: [{ type: "text", text: "Error: parent_plan_id and parent_step_id must be given together." }], isError: true };
+    }
+    if (parent_plan_id) {
+      const parent = findPlan(db, agentName, parent_plan_id, "write");
+      if (!parent || !OPEN_STATUSES.includes(parent.status)) {
+        return { content: [{ type: "text", text: `Error: Parent plan '${parent_plan_id}' not found or not open.` }], isError: true };
+      }
+      const parentStep = getSteps(db, parent.id).find((s) => s.id === parent_step_id);
+      if (!parentStep) {
+        return { content: [{ type: "text", text: `Error: Parent plan has no step ${parent_step_id}.` }], isError: true };
+      }
+      if (SATISFIED_STATUSES.includes(parentStep.status)) {
+        return { content: [{ type: "text", text: `Error: Step ${parent_step_id} is already ${parentStep.status}.` }], isError: true };
+      }
+      const openSub = db.prepare(
+        `SELECT id FROM plans WHERE parent_plan_id = ? AND parent_step_id = ? AND status IN ('active', 'paused')`
+      ).get(parent_plan_id, parent_step_id);
+      if (openSub) {
+        return { content: [{ type: "text", text: `Error: Step ${parent_step_id} already has an open sub-plan (${openSub.id}).` }], isError: true };
+      }
+    }
 
-    const stepList = steps.map((desc, i) => ({
+    // Steps are plain descriptions or { description, depends_on }
+    const stepList = steps.map((s, i) => ({
       id: i + 1,
-      description: desc,
+      description: typeof s === "string" ? s : s.description,
       status: "pending",
       notes: "",
+      depends_on: typeof s === "string" ? [] : [...new Set(s.depends_on || [])],
+      estimate_minutes: typeof s === "string" ? null : s.estimate_minutes ?? null,
       completed_at: null,
     }));
 
+    const depError = validateDependencies(stepList);
+    if (depError) {
+      return { content: [{ type: "text", text: `Error: ${depError}` }], isError: true };
+    }
+
+    // Supersede any existing active plan, unless the agent opts in to running
+    // several. A sub-plan never supersedes the plan it expands.
+    if (!concurrent && !parent_plan_id) supersedeActivePlans(db, agentName, planId);
+
     const progress = `0/${stepList.length}`;
 
     db.prepare(
       `INSERT INTO plans
-       (id, agent_name, title, steps, status, progress, created_at, updated_at)
-       VALUES (?, ?, ?, ?, 'active', ?, ?, ?)`
-    ).run(planId, agentName, title, JSON.stringify(stepList), progress, ts, ts);
+       (id, agent_name, title, status, progress, created_at, updated_at, parent_plan_id, parent_step_id)
+       VALUES (?, ?, ?, 'active', ?, ?, ?, ?, ?)`
+    ).run(planId, agentName, title, progress, ts, ts, parent_plan_id || null, parent_step_id ?? null);
+    writeSteps(db, planId, stepList, agentName);
+    recordPlanStatus(db, planId, null, "active", agentName);
+    setFocus(db, agentName, planId);
 
     return {
       content: [{
         type: "text",
-        text: `Plan created: ${planId}\n\n${formatPlan({ id: planId, title, status: "active", progress, created_at: ts }, stepList)}`,
+        text: `Plan created: ${planId}\n\n${formatPlan({ id: planId, title, status: "active", progress, created_at: ts, parent_plan_id, parent_step_id }, stepList)}`,
       }],
     };
   } catch (err) {
@@ -89,56 +682,68 @@ export function createPlan(db, agentName, { title, steps }) {
   }
 }
 
-export function updateStep(db, agentName, { step_id, status, notes, plan_id }) {
+export function updateStep(db, agentName, { step_id, status, notes, blocked_reason, plan_id, force = false, taskboardDb }) {
   try {
-    let plan;
-    if (plan_id) {
-      plan = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan_id);
-    } else {
-      plan = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
-      ).get(agentName);
-    }
+    const plan = findPlan(db, agentName, plan_id, "write");
 
     if (!plan) {
       return { content: [{ type: "text", text: "No active plan found. Create one with create_plan first." }] };
     }
-
-    let steps;
-    try {
-      steps = JSON.parse(plan.steps);
-      if (!Array.isArray(steps)) throw new Error("not an array");
-    } catch {
-      return { content: [{ type: "text", text: `Data corruption: plan ${plan.id} has invalid JSON in steps field. Plan cannot be updated.` }], isError: true };
+    if (plan.status === "paused") {
+      return { content: [{ type: "text", text: `Error: Plan "${plan.title}" is paused. Resume it with resume_plan first.` }], isError: true };
     }
+
+    const steps = getSteps(db, plan.id);
     const step = steps.find((s) => s.id === step_id);
     if (!step) {
       return { content: [{ type: "text", text: `Step ${step_id} not found. Plan has ${steps.length} steps.` }] };
     }
 
+    const unmet = GATED_STATUSES.includes(status) ? unmetDependencies(step, steps) : [];
+    if (unmet.length > 0 && !force) {
+      return {
+        content: [{
+          type: "text",
+          text: `Step ${step_id} is waiting on step(s) ${unmet.join(", ")}. Finish or skip them first, or pass force: true to override.`,
+        }],
+        isError: true,
+      };
+    }
+
+    // Like taskboard parents, a step can't be done while its sub-plan is open
+    if (status === "done" && !force) {
+      const openSub = db.prepare(
+        "SELECT id FROM plans WHERE parent_plan_id = ? AND parent_step_id = ? AND status IN ('active', 'paused')"
+      ).get(plan.id, step_id);
+      if (openSub) {
+        return {
+          content: [{ type: "text", text: `Error: Step ${step_id} has an open sub-plan (${openSub.id}). Complete it, or pass force: true.` }],
+          isError: true,
+        };
+      }
+    }
+
     step.status = status;
     if (notes !== undefined) step.notes = notes;
     if (status === "done") step.completed_at = now();
+    if (status === "blocked") step.blocked_reason = blocked_reason ?? notes ?? step.blocked_reason ?? null;
 
-    const progress = computeProgress(steps);
-    const ts = now();
-
-    // Check if all steps are done → auto-complete
-    const allDone = steps.every((s) => s.status === "done" || s.status === "skipped");
+    const { progress, allDone, rolled } = commitSteps(db, agentName, plan, steps);
 
+    let msg = `Step ${step_id} → ${status} (${progress})`;
+    if (unmet.length > 0) msg += `\nWarning: forced past unmet prerequisite step(s) ${unmet.join(", ")}.`;
+    if (status === "done" && step.task_ref && taskboardDb) {
+      const pushed = pushTaskDone(taskboardDb, agentName, step.task_ref);
+      if (pushed) msg += `\n${pushed.text}`;
+    }
+    if (status === "done" && !allDone) {
+      const unlocked = readySteps(steps).filter((s) => s.depends_on?.includes(step_id));
+      if (unlocked.length > 0) msg += `\nNow ready: ${unlocked.map((s) => `Step ${s.id}`).join(", ")}`;
+    }
     if (allDone) {
-      db.prepare(
-        `UPDATE plans SET steps = ?, progress = ?, status = 'completed',
-         completed_at = ?, updated_at = ? WHERE id = ?`
-      ).run(JSON.stringify(steps), progress, ts, ts, plan.id);
-    } else {
-      db.prepare(
-        "UPDATE plans SET steps = ?, progress = ?, updated_at = ? WHERE id = ?"
-      ).run(JSON.stringify(steps), progress, ts, plan.id);
+      msg += "\n\nAll steps complete! Plan marked as completed.";
+      if (rolled.length > 0) msg += `\n${rolled.join("\n")}`;
     }
-
-    let msg = `Step ${step_id} → ${status} (${progress})`;
-    if (allDone) msg += "\n\nAll steps complete! Plan marked as completed.";
     return { content: [{ type: "text", text: msg }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
@@ -147,55 +752,110 @@ export function updateStep(db, agentName, { step_id, status, notes, plan_id }) {
 
 export function getPlan(db, agentName, { plan_id }) {
   try {
-    let plan;
-    if (plan_id) {
-      plan = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan_id);
+    const plan = findPlan(db, agentName, plan_id);
+
+    if (!plan) {
+      return { content: [{ type: "text", text: "No active plan found." }] };
+    }
+
+    const steps = getSteps(db, plan.id);
+
+    let text = formatPlan(plan, steps, getSubPlans(db, plan.id));
+    const access = planAccess(db, plan, agentName);
+    if (access !== "owner") {
+      text += `\n\nOwner: ${plan.agent_name} (shared with you: ${access})`;
     } else {
-      plan = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
-      ).get(agentName);
+      const grants = db.prepare("SELECT agent_name, access FROM plan_grants WHERE plan_id = ? ORDER BY agent_name").all(plan.id);
+      if (grants.length > 0) text += `\n\nShared with: ${grants.map((g) => `${g.agent_name} (${g.access})`).join(", ")}`;
+    }
+    if (OPEN_STATUSES.includes(plan.status)) {
+      const resume = formatResumePoints(db, plan, steps);
+      if (resume) text += `\n\n${resume}`;
+    }
+    if (!plan_id) {
+      const others = db.prepare(
+        "SELECT id, title, status FROM plans WHERE agent_name = ? AND status IN ('active', 'paused') AND id != ? ORDER BY updated_at DESC"
+      ).all(agentName, plan.id);
+      if (others.length > 0) {
+        text += `\n\nOther open plans: ${others.map((o) => `[${o.id}] ${o.title} (${o.status})`).join(", ")}`;
+      }
     }
+    return { content: [{ type: "text", text }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function nextSteps(db, agentName, { plan_id }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id);
 
     if (!plan) {
       return { content: [{ type: "text", text: "No active plan found." }] };
     }
 
-    let steps;
-    try {
-      steps = JSON.parse(plan.steps);
-      if (!Array.isArray(steps)) throw new Error("not an array");
-    } catch {
-      return { content: [{ type: "text", text: `Data corruption: plan ${plan.id} has invalid JSON in steps field.` }], isError: true };
+    const steps = getSteps(db, plan.id);
+
+    const ready = readySteps(steps);
+    const inProgress = steps.filter((s) => s.status === "in_progress");
+    const lines = [`Plan: ${plan.title} (${plan.progress})`];
+
+    if (inProgress.length > 0) {
+      lines.push("", "In progress:");
+      for (const s of inProgress) lines.push(`  ▸ Step ${s.id}: ${s.description}`);
     }
-    return { content: [{ type: "text", text: formatPlan(plan, steps) }] };
+    if (ready.length > 0) {
+      lines.push("", `Ready to start (${ready.length}):`);
+      for (const s of ready) lines.push(`  ○ Step ${s.id}: ${s.description}`);
+    } else {
+      const waiting = steps.filter((s) => s.status === "pending");
+      lines.push("", waiting.length > 0
+        ? `No steps ready — ${waiting.length} pending step(s) are waiting on prerequisites.`
+        : "No pending steps.");
+    }
+    return { content: [{ type: "text", text: lines.join("\n") }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
 }
 
-export function listPlans(db, agentName, { status = "all", limit = 10 }) {
+export function listPlans(db, agentName, { status = "all", limit = 10, include_shared = false }) {
   try {
+    const owner = include_shared ? READABLE_PLANS : "agent_name = ?";
+    const ownerParams = include_shared ? [agentName, agentName] : [agentName];
     let rows;
     if (status === "all") {
       rows = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? ORDER BY updated_at DESC LIMIT ?"
-      ).all(agentName, limit);
+        `SELECT * FROM plans WHERE ${owner} ORDER BY updated_at DESC LIMIT ?`
+      ).all(...ownerParams, limit);
     } else {
       rows = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? AND status = ? ORDER BY updated_at DESC LIMIT ?"
-      ).all(agentName, status, limit);
+        `SELECT * FROM plans WHERE ${owner} AND status = ? ORDER BY updated_at DESC LIMIT ?`
+      ).all(...ownerParams, status, limit);
     }
 
     if (rows.length === 0) {
       return { content: [{ type: "text", text: "No plans found." }] };
     }
 
+    const focusId = currentPlan(db, agentName)?.id;
+    const subCounts = {};
+    for (const c of db.prepare(
+      `SELECT parent_plan_id, COUNT(*) AS total, SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS done
+       FROM plans WHERE parent_plan_id IS NOT NULL GROUP BY parent_plan_id`
+    ).all()) subCounts[c.parent_plan_id] = c;
+
     const lines = rows.map((r) => {
       const icon =
         r.status === "active" ? "▸" :
         r.status === "completed" ? "✓" :
+        r.status === "paused" ? "‖" :
         r.status === "abandoned" ? "✗" : "–";
-      return `${icon} [${r.id}] ${r.title} (${r.progress}) [${r.status}] — ${r.updated_at}`;
+      const focus = r.id === focusId ? " ← focus" : "";
+      const parent = r.parent_plan_id ? ` (sub-plan of ${r.parent_plan_id} step ${r.parent_step_id})` : "";
+      const children = subCounts[r.id] ? ` [${subCounts[r.id].done}/${subCounts[r.id].total} sub-plans]` : "";
+      const shared = r.agent_name !== agentName ? ` (owner ${r.agent_name}, ${planAccess(db, r, agentName)})` : "";
+      return `${icon} [${r.id}] ${r.title} (${r.progress}) [${r.status}]${shared}${parent}${children} — ${r.updated_at}${focus}`;
     });
 
     return { content: [{ type: "text", text: lines.join("\n") }] };
@@ -208,14 +868,8 @@ export function completePlan(db, agentName, { plan_id, notes }) {
   try {
     const ts = now();
 
-    let plan;
-    if (plan_id) {
-      plan = db.prepare("SELECT * FROM plans WHERE id = ? AND status = 'active'").get(plan_id);
-    } else {
-      plan = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
-      ).get(agentName);
-    }
+    let plan = findPlan(db, agentName, plan_id, "write");
+    if (plan && !OPEN_STATUSES.includes(plan.status)) plan = null;
 
     if (!plan) {
       return { content: [{ type: "text", text: "No active plan found to complete." }] };
@@ -224,8 +878,12 @@ export function completePlan(db, agentName, { plan_id, notes }) {
     db.prepare(
       "UPDATE plans SET status = 'completed', completed_at = ?, updated_at = ? WHERE id = ?"
     ).run(ts, ts, plan.id);
+    recordPlanStatus(db, plan.id, plan.status, "completed", agentName, notes);
+    const rolled = rollUpToParent(db, plan, "completed");
 
-    return { content: [{ type: "text", text: `Plan "${plan.title}" marked as completed.${notes ? " Notes: " + notes : ""}` }] };
+    let msg = `Plan "${plan.title}" marked as completed.${notes ? " Notes: " + notes : ""}`;
+    if (rolled.length > 0) msg += `\n${rolled.join("\n")}`;
+    return { content: [{ type: "text", text: msg }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
@@ -235,48 +893,1122 @@ export function abandonPlan(db, agentName, { reason, plan_id }) {
   try {
     const ts = now();
 
-    let plan;
-    if (plan_id) {
-      plan = db.prepare("SELECT * FROM plans WHERE id = ? AND status = 'active'").get(plan_id);
-    } else {
-      plan = db.prepare(
-        "SELECT * FROM plans WHERE agent_name = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
-      ).get(agentName);
-    }
+    let plan = findPlan(db, agentName, plan_id, "write");
+    if (plan && !OPEN_STATUSES.includes(plan.status)) plan = null;
 
     if (!plan) {
       return { content: [{ type: "text", text: "No active plan found to abandon." }] };
     }
 
     // Append abandonment note as a step
-    let steps;
-    let stepsCorrupted = false;
-    try {
-      steps = JSON.parse(plan.steps);
-      if (!Array.isArray(steps)) { stepsCorrupted = true; steps = []; }
-    } catch {
-      stepsCorrupted = true;
-      steps = [];
-    }
-
-    if (!stepsCorrupted) {
-      steps.push({
-        id: steps.length + 1,
-        description: `[ABANDONED] ${reason}`,
-        status: "skipped",
-        notes: reason,
-        completed_at: ts,
-      });
-    }
+    const steps = getSteps(db, plan.id);
+    steps.push({
+      id: nextStepId(steps),
+      description: `[ABANDONED] ${reason}`,
+      status: "skipped",
+      notes: reason,
+      depends_on: [],
+      completed_at: ts,
+    });
 
+    writeSteps(db, plan.id, steps, agentName);
     db.prepare(
-      "UPDATE plans SET status = 'abandoned', steps = ?, updated_at = ? WHERE id = ?"
-    ).run(JSON.stringify(steps), ts, plan.id);
+      "UPDATE plans SET status = 'abandoned', updated_at = ? WHERE id = ?"
+    ).run(ts, plan.id);
+    recordPlanStatus(db, plan.id, plan.status, "abandoned", agentName, reason);
+    const rolled = rollUpToParent(db, plan, "abandoned");
+    const rollNote = rolled.length > 0 ? `\n${rolled.join("\n")}` : "";
+
+    return { content: [{ type: "text", text: `Plan "${plan.title}" abandoned. Reason: ${reason}${rollNote}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Plan editing ─────────────────────────────────────────────────────
+
+export function addStep(db, agentName, { description, position, after_step_id, depends_on = [], estimate_minutes, plan_id }) {
+  try {
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
+
+    if (position !== undefined && after_step_id !== undefined) {
+      return { content: [{ type: "text", text: "Error: Give either position or after_step_id, not both." }], isError: true };
+    }
+
+    let index = steps.length;
+    if (after_step_id !== undefined) {
+      const afterIndex = steps.findIndex((s) => s.id === after_step_id);
+      if (afterIndex === -1) return stepNotFound(after_step_id, steps);
+      index = afterIndex + 1;
+    } else if (position !== undefined) {
+      index = Math.min(position - 1, steps.length);
+    }
+
+    const step = {
+      id: nextStepId(steps),
+      description,
+      status: "pending",
+      notes: "",
+      depends_on: [...new Set(depends_on)],
+      estimate_minutes: estimate_minutes ?? null,
+      completed_at: null,
+    };
+    steps.splice(index, 0, step);
+
+    return saveEditedSteps(db, agentName, plan, steps, `Step ${step.id} added at position ${index + 1}.`);
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function removeStep(db, agentName, { step_id, plan_id }) {
+  try {
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
+
+    const removed = steps.find((s) => s.id === step_id);
+    if (!removed) return stepNotFound(step_id, steps);
+    if (steps.length === 1) {
+      return { content: [{ type: "text", text: "Error: Cannot remove the only step — abandon the plan instead." }], isError: true };
+    }
+    // Its sub-plan would have no step left to roll up into
+    const openSub = db.prepare(
+      "SELECT id FROM plans WHERE parent_plan_id = ? AND parent_step_id = ? AND status IN ('active', 'paused')"
+    ).get(plan.id, step_id);
+    if (openSub) {
+      return { content: [{ type: "text", text: `Error: Step ${step_id} has an open sub-plan (${openSub.id}). Complete or abandon it first.` }], isError: true };
+    }
+
+    // Dependents inherit the removed step's prerequisites so ordering is kept
+    const remaining = steps.filter((s) => s.id !== step_id);
+    for (const s of remaining) {
+      if (s.depends_on?.includes(step_id)) {
+        s.depends_on = [...new Set([...s.depends_on.filter((id) => id !== step_id), ...(removed.depends_on || [])])];
+      }
+    }
+
+    return saveEditedSteps(db, agentName, plan, remaining, `Step ${step_id} removed: ${removed.description}`);
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function reorderSteps(db, agentName, { order, plan_id }) {
+  try {
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
 
-    if (stepsCorrupted) {
-      return { content: [{ type: "text", text: `Plan "${plan.title}" abandoned. Warning: steps data was corrupted — abandonment note could not be appended.` }] };
+    const ids = steps.map((s) => s.id);
+    const sameSet = order.length === ids.length && new Set(order).size === order.length && order.every((id) => ids.includes(id));
+    if (!sameSet) {
+      return {
+        content: [{ type: "text", text: `Error: order must list every step id exactly once (${ids.join(", ")}).` }],
+        isError: true,
+      };
     }
-    return { content: [{ type: "text", text: `Plan "${plan.title}" abandoned. Reason: ${reason}` }] };
+
+    const reordered = order.map((id) => steps.find((s) => s.id === id));
+    return saveEditedSteps(db, agentName, plan, reordered, `Steps reordered: ${order.join(", ")}`);
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function editStep(db, agentName, { step_id, description, depends_on, estimate_minutes, task_ref, plan_id, taskboardDb }) {
+  try {
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
+
+    const step = steps.find((s) => s.id === step_id);
+    if (!step) return stepNotFound(step_id, steps);
+    if (description === undefined && depends_on === undefined && estimate_minutes === undefined && task_ref === undefined) {
+      return { content: [{ type: "text", text: "No fields to update." }] };
+    }
+    if (task_ref && taskboardDb && !taskboardDb.prepare("SELECT id FROM tasks WHERE id = ?").get(task_ref)) {
+      return { content: [{ type: "text", text: `Error: Task '${task_ref}' not found in the taskboard.` }], isError: true };
+    }
+
+    if (description !== undefined) step.description = description;
+    if (depends_on !== undefined) step.depends_on = [...new Set(depends_on)];
+    if (estimate_minutes !== undefined) step.estimate_minutes = estimate_minutes;
+    if (task_ref !== undefined) step.task_ref = task_ref;
+
+    return saveEditedSteps(db, agentName, plan, steps, `Step ${step_id} updated.`);
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function splitStep(db, agentName, { step_id, parts, plan_id }) {
+  try {
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
+
+    const index = steps.findIndex((s) => s.id === step_id);
+    if (index === -1) return stepNotFound(step_id, steps);
+    const original = steps[index];
+    if (original.status === "done" || original.status === "skipped") {
+      return { content: [{ type: "text", text: `Error: Step ${step_id} is ${original.status}; only unfinished steps can be split.` }], isError: true };
+    }
+
+    // The original keeps its id, status and prerequisites as the first part;
+    // the rest run in sequence after it
+    original.description = parts[0];
+    const added = [];
+    let prevId = original.id;
+    let id = nextStepId(steps);
+    for (const desc of parts.slice(1)) {
+      added.push({ id, description: desc, status: "pending", notes: "", depends_on: [prevId], completed_at: null });
+      prevId = id++;
+    }
+    steps.splice(index + 1, 0, ...added);
+
+    // Whatever waited on the whole step now waits on its last part
+    for (const s of steps) {
+      if (!added.includes(s) && s.depends_on?.includes(step_id)) {
+        s.depends_on = s.depends_on.map((d) => (d === step_id ? prevId : d));
+      }
+    }
+
+    return saveEditedSteps(db, agentName, plan, steps, `Step ${step_id} split into steps ${[step_id, ...added.map((s) => s.id)].join(", ")}.`);
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Focus, pause & reopen ────────────────────────────────────────────
+
+export function focusPlan(db, agentName, { plan_id }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "write");
+    if (!plan) {
+      return { content: [{ type: "text", text: `Plan ${plan_id} not found.` }], isError: true };
+    }
+    if (plan.status !== "active") {
+      const hint = plan.status === "paused" ? " Resume it with resume_plan." : "";
+      return { content: [{ type: "text", text: `Error: Plan "${plan.title}" is ${plan.status}; only active plans can be focused.${hint}` }], isError: true };
+    }
+
+    setFocus(db, agentName, plan.id);
+    return { content: [{ type: "text", text: `Focused on "${plan.title}" (${plan.progress}). update_step, get_plan and next_steps now default to it.` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function pausePlan(db, agentName, { plan_id, reason }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "write");
+    if (!plan || plan.status !== "active") {
+      return { content: [{ type: "text", text: "No active plan found to pause." }] };
+    }
+
+    db.prepare("UPDATE plans SET status = 'paused', updated_at = ? WHERE id = ?").run(now(), plan.id);
+    recordPlanStatus(db, plan.id, "active", "paused", agentName, reason);
+    db.prepare("DELETE FROM plan_focus WHERE agent_name = ? AND plan_id = ?").run(agentName, plan.id);
+
+    const next = currentPlan(db, agentName);
+    let msg = `Plan "${plan.title}" paused at ${plan.progress}.${reason ? " Reason: " + reason : ""}`;
+    msg += next ? `\nFocus is now "${next.title}" [${next.id}].` : "\nNo other active plan.";
+    return { content: [{ type: "text", text: msg }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function resumePlan(db, agentName, { plan_id }) {
+  try {
+    const plan = plan_id
+      ? findPlan(db, agentName, plan_id, "write")
+      : db.prepare(
+        "SELECT * FROM plans WHERE agent_name = ? AND status = 'paused' ORDER BY updated_at DESC LIMIT 1"
+      ).get(agentName);
+    if (!plan || plan.status !== "paused") {
+      return { content: [{ type: "text", text: "No paused plan found to resume." }] };
+    }
+
+    db.prepare("UPDATE plans SET status = 'active', updated_at = ? WHERE id = ?").run(now(), plan.id);
+    recordPlanStatus(db, plan.id, "paused", "active", agentName);
+    setFocus(db, agentName, plan.id);
+    return { content: [{ type: "text", text: `Plan "${plan.title}" resumed at ${plan.progress} and focused.` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function reopenPlan(db, agentName, { plan_id, reason, reopen_steps = [], concurrent = false }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "write");
+    if (!plan) {
+      return { content: [{ type: "text", text: `Plan ${plan_id} not found.` }], isError: true };
+    }
+    if (!REOPENABLE_STATUSES.includes(plan.status)) {
+      return { content: [{ type: "text", text: `Error: Plan "${plan.title}" is ${plan.status}; only completed, abandoned or superseded plans can be reopened.` }], isError: true };
+    }
+
+    let parent = null;
+    if (plan.parent_plan_id) {
+      parent = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan.parent_plan_id);
+      if (!parent || !OPEN_STATUSES.includes(parent.status)) {
+        return { content: [{ type: "text", text: `Error: Parent plan ${plan.parent_plan_id} is ${parent?.status ?? "missing"}; reopen it first.` }], isError: true };
+      }
+    }
+
+    // Drop the note abandon_plan appended; its status history stays
+    const allSteps = getSteps(db, plan.id);
+    const steps = allSteps.filter((s) => !(s.status === "skipped" && s.description.startsWith("[ABANDONED]")));
+    const removed = allSteps.length - steps.length;
+
+    for (const id of reopen_steps) {
+      const step = steps.find((s) => s.id === id);
+      if (!step) return stepNotFound(id, steps);
+      step.status = "pending";
+      step.completed_at = null;
+    }
+
+    const ts = now();
+    const progress = computeProgress(steps);
+    // Only the owner's own reopen supersedes their active plans; a write-shared
+    // agent reopens alongside them
+    const supersede = !concurrent && !plan.parent_plan_id && plan.agent_name === agentName;
+    if (supersede) supersedeActivePlans(db, agentName, plan.id, agentName);
+    writeSteps(db, plan.id, steps, agentName);
+    db.prepare(
+      "UPDATE plans SET status = 'active', progress = ?, completed_at = NULL, updated_at = ? WHERE id = ?"
+    ).run(progress, ts, plan.id);
+    recordPlanStatus(db, plan.id, plan.status, "active", agentName, reason ? `Reopened: ${reason}` : "Reopened");
+    setFocus(db, agentName, plan.id);
+
+    const lines = [`Plan "${plan.title}" reopened (was ${plan.status}).${reason ? " Reason: " + reason : ""}`];
+    if (removed > 0) lines.push("Removed the [ABANDONED] step.");
+    if (reopen_steps.length > 0) lines.push(`Step(s) ${reopen_steps.join(", ")} back to pending.`);
+
+    // The parent step the sub-plan finished (or blocked) is in progress again
+    if (parent) {
+      const parentSteps = getSteps(db, parent.id);
+      const parentStep = parentSteps.find((s) => s.id === plan.parent_step_id);
+      if (parentStep && ["done", "blocked"].includes(parentStep.status)) {
+        const note = `Sub-plan ${plan.id} reopened`;
+        parentStep.status = "in_progress";
+        parentStep.completed_at = null;
+        parentStep.notes = parentStep.notes ? `${parentStep.notes}; ${note}` : note;
+        const parentProgress = computeProgress(parentSteps);
+        writeSteps(db, parent.id, parentSteps, agentName);
+        db.prepare("UPDATE plans SET progress = ?, updated_at = ? WHERE id = ?").run(parentProgress, ts, parent.id);
+        lines.push(`Parent plan "${parent.title}": step ${parentStep.id} → in_progress (${parentProgress})`);
+      }
+    }
+
+    if (steps.every((s) => SATISFIED_STATUSES.includes(s.status))) {
+      lines.push("Note: every step is still done or skipped — add a step or reopen steps, or the next update completes the plan again.");
+    }
+
+    const saved = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan.id);
+    return { content: [{ type: "text", text: `${lines.join("\n")}\n\n${formatPlan(saved, steps, getSubPlans(db, plan.id))}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Templates ────────────────────────────────────────────────────────
+
+const TEMPLATE_VARIABLE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Distinct {{variable}} names used in the given strings, in order of appearance.
+ * @param {string[]} texts
+ * @returns {string[]}
+ */
+export function templateVariables(texts) {
+  const names = new Set();
+  for (const text of texts) {
+    for (const m of text.matchAll(TEMPLATE_VARIABLE)) names.add(m[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Replace {{variable}} placeholders. Unknown names are left as-is.
+ * @param {string} text
+ * @param {Record<string, string>} variables
+ * @returns {string}
+ */
+export function fillTemplate(text, variables) {
+  return text.replace(TEMPLATE_VARIABLE, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  );
+}
+
+export function savePlanTemplate(db, agentName, { name, title, steps, plan_id, description, overwrite = false, admin = false }) {
+  try {
+    if ((steps === undefined) === (plan_id === undefined)) {
+      return { content: [{ type: "text", text: "Error: Give exactly one of steps or plan_id." }], isError: true };
+    }
+
+    let stepList;
+    if (plan_id) {
+      const plan = findPlan(db, agentName, plan_id);
+      if (!plan) {
+        return { content: [{ type: "text", text: `Plan ${plan_id} not found.` }], isError: true };
+      }
+      title = title ?? plan.title;
+      // Drop the note abandon_plan appends; renumber so depends_on stays valid
+      const source = getSteps(db, plan.id).filter((s) => !s.description.startsWith("[ABANDONED]"));
+      const newIds = new Map(source.map((s, i) => [s.id, i + 1]));
+      stepList = source.map((s) => ({
+        description: s.description,
+        depends_on: s.depends_on.filter((id) => newIds.has(id)).map((id) => newIds.get(id)),
+        ...(s.estimate_minutes ? { estimate_minutes: s.estimate_minutes } : {}),
+      }));
+    } else {
+      if (!title) {
+        return { content: [{ type: "text", text: "Error: title is required when saving a template from steps." }], isError: true };
+      }
+      stepList = steps.map((s) => ({
+        description: typeof s === "string" ? s : s.description,
+        depends_on: typeof s === "string" ? [] : [...new Set(s.depends_on || [])],
+        ...(s.estimate_minutes ? { estimate_minutes: s.estimate_minutes } : {}),
+      }));
+    }
+
+    if (stepList.length === 0) {
+      return { content: [{ type: "text", text: "Error: A template needs at least one step." }], isError: true };
+    }
+    if (stepList.length > MAX_PLAN_STEPS) {
+      return { content: [{ type: "text", text: `Error: Templates are limited to ${MAX_PLAN_STEPS} steps.` }], isError: true };
+    }
+    const depError = validateDependencies(stepList.map((s, i) => ({ ...s, id: i + 1 })));
+    if (depError) {
+      return { content: [{ type: "text", text: `Error: ${depError}` }], isError: true };
+    }
+
+    const existing = db.prepare("SELECT id, created_by FROM plan_templates WHERE name = ?").get(name);
+    if (existing && !overwrite) {
+      return {
+        content: [{ type: "text", text: `Error: Template "${name}" already exists (${existing.id}). Pass overwrite: true to replace it.` }],
+        isError: true,
+      };
+    }
+    // Templates are shared, so only their creator (or the admin) may replace one
+    if (existing && existing.created_by !== agentName && !admin) {
+      return {
+        content: [{ type: "text", text: `Error: Template "${name}" was created by ${existing.created_by} — only they or the admin agent can overwrite it.` }],
+        isError: true,
+      };
+    }
+
+    const variables = templateVariables([title, ...stepList.map((s) => s.description)]);
+    const ts = now();
+    const id = existing?.id ?? uuid8();
+    db.prepare(
+      `INSERT INTO plan_templates (id, name, title, description, steps, variables, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         title = excluded.title, description = excluded.description, steps = excluded.steps,
+         variables = excluded.variables, updated_at = excluded.updated_at`
+    ).run(id, name, title, description || null, JSON.stringify(stepList), JSON.stringify(variables), agentName, ts, ts);
+
+    const vars = variables.length > 0 ? ` Variables: ${variables.join(", ")}.` : "";
+    return {
+      content: [{ type: "text", text: `Template "${name}" ${existing ? "updated" : "saved"}: ${id} (${stepList.length} steps).${vars}` }],
+    };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function listPlanTemplates(db, agentName, { query }) {
+  try {
+    const rows = query
+      ? db.prepare(
+        "SELECT * FROM plan_templates WHERE name LIKE ? OR title LIKE ? OR description LIKE ? ORDER BY name"
+      ).all(`%${query}%`, `%${query}%`, `%${query}%`)
+      : db.prepare("SELECT * FROM plan_templates ORDER BY name").all();
+
+    if (rows.length === 0) {
+      return { content: [{ type: "text", text: "No plan templates found." }] };
+    }
+
+    const lines = rows.map((r) => {
+      const steps = safeJsonParse(r.steps, [], `template ${r.id} steps`);
+      const variables = safeJsonParse(r.variables, [], `template ${r.id} variables`);
+      let line = `[${r.id}] ${r.name} — ${r.title} (${steps.length} steps) by ${r.created_by}`;
+      if (variables.length > 0) line += `\n    variables: ${variables.join(", ")}`;
+      if (r.description) line += `\n    ${r.description}`;
+      return line;
+    });
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function createPlanFromTemplate(db, agentName, { template, variables = {}, title, concurrent = false, parent_plan_id, parent_step_id }) {
+  try {
+    const tpl = db.prepare("SELECT * FROM plan_templates WHERE id = ? OR name = ?").get(template, template);
+    if (!tpl) {
+      return { content: [{ type: "text", text: `Template "${template}" not found.` }], isError: true };
+    }
+
+    const steps = safeJsonParse(tpl.steps, [], `template ${tpl.id} steps`);
+    const required = safeJsonParse(tpl.variables, [], `template ${tpl.id} variables`);
+    const missing = required.filter((v) => !Object.prototype.hasOwnProperty.call(variables, v));
+    if (missing.length > 0) {
+      return {
+        content: [{ type: "text", text: `Error: Missing template variable(s): ${missing.join(", ")}.` }],
+        isError: true,
+      };
+    }
+
+    const result = createPlan(db, agentName, {
+      title: fillTemplate(title ?? tpl.title, variables),
+      steps: steps.map((s) => ({ ...s, description: fillTemplate(s.description, variables) })),
+      concurrent,
+      parent_plan_id,
+      parent_step_id,
+    });
+    if (result.isError) return result;
+
+    const unused = Object.keys(variables).filter((v) => !required.includes(v));
+    let prefix = `From template "${tpl.name}".`;
+    if (unused.length > 0) prefix += ` Warning: unused variable(s) ${unused.join(", ")}.`;
+    return { content: [{ type: "text", text: `${prefix}\n${result.content[0].text}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Analytics ────────────────────────────────────────────────────────
+
+// An estimate counts as accurate when the actual time is within this fraction
+const ESTIMATE_TOLERANCE = 0.25;
+
+/**
+ * Minutes each step spent blocked, from its status history. A step that is
+ * still blocked is counted up to now.
+ * @returns {Map<string, number>} keyed by `${plan_id}:${step_id}`
+ */
+function blockedMinutes(history) {
+  const totals = new Map();
+  const since = new Map();
+  for (const h of history) {
+    const key = `${h.plan_id}:${h.step_id}`;
+    if (since.has(key) && h.to_status !== "blocked") {
+      totals.set(key, (totals.get(key) || 0) + (Date.parse(h.changed_at) - Date.parse(since.get(key))) / 60000);
+      since.delete(key);
+    } else if (h.to_status === "blocked" && !since.has(key)) {
+      since.set(key, h.changed_at);
+      if (!totals.has(key)) totals.set(key, 0);
+    }
+  }
+  const nowMs = Date.now();
+  for (const [key, start] of since) totals.set(key, totals.get(key) + (nowMs - Date.parse(start)) / 60000);
+  return totals;
+}
+
+function emptyStats() {
+  return { plans: 0, completed: 0, abandoned: 0, timed: 0, minutes: 0, estimated: 0, estimate: 0, actual: 0, accurate: 0, blockedSteps: 0, blocked: 0 };
+}
+
+function addPlanStats(stats, plan, steps, blocked) {
+  stats.plans++;
+  if (plan.status === "completed") stats.completed++;
+  if (plan.status === "abandoned") stats.abandoned++;
+  for (const step of steps) {
+    const took = step.status === "done" ? stepMinutes(step) : null;
+    if (took !== null) {
+      stats.timed++;
+      stats.minutes += took;
+      if (step.estimate_minutes) {
+        stats.estimated++;
+        stats.estimate += step.estimate_minutes;
+        stats.actual += took;
+        if (Math.abs(took - step.estimate_minutes) <= step.estimate_minutes * ESTIMATE_TOLERANCE) stats.accurate++;
+      }
+    }
+    const b = blocked.get(`${plan.id}:${step.id}`);
+    if (b !== undefined) {
+      stats.blockedSteps++;
+      stats.blocked += b;
+    }
+  }
+}
+
+function formatStats(stats, { withPlans = true } = {}) {
+  const parts = [];
+  if (withPlans) {
+    const rate = stats.plans > 0 ? Math.round((stats.abandoned / stats.plans) * 100) : 0;
+    parts.push(`${stats.plans} plans, ${stats.completed} completed, ${stats.abandoned} abandoned (${rate}%)`);
+  }
+  parts.push(stats.timed > 0
+    ? `avg ${formatMinutes(stats.minutes / stats.timed)}/step over ${stats.timed} timed`
+    : "no timed steps");
+  if (stats.estimated > 0) {
+    const ratio = (stats.actual / stats.estimate).toFixed(2);
+    const accurate = Math.round((stats.accurate / stats.estimated) * 100);
+    parts.push(`est ${formatMinutes(stats.estimate)} vs actual ${formatMinutes(stats.actual)} (${ratio}x, ${accurate}% within ±${ESTIMATE_TOLERANCE * 100}%)`);
+  }
+  if (stats.blockedSteps > 0) parts.push(`blocked ${formatMinutes(stats.blocked)} across ${stats.blockedSteps} step(s)`);
+  return parts.join(" | ");
+}
+
+/**
+ * Accept a date (whole day) or full ISO timestamp as a range bound.
+ */
+function rangeBound(value, endOfDay) {
+  if (Number.isNaN(Date.parse(value))) throw new Error(`Invalid date: ${value}`);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return endOfDay ? `${value}T23:59:59.999Z` : `${value}T00:00:00.000Z`;
+  return new Date(value).toISOString();
+}
+
+export function planStats(db, agentName, { since, until, agent, plan_id, limit = 10 }) {
+  try {
+    const filters = [];
+    if (plan_id) filters.push({ column: "id", value: plan_id });
+    if (agent) filters.push({ column: "agent_name", value: agent });
+    if (since) filters.push({ column: "created_at", op: ">=", value: rangeBound(since, false) });
+    if (until) filters.push({ column: "created_at", op: "<=", value: rangeBound(until, true) });
+    // Only plans the caller owns or has been granted
+    const where = buildWhereClause(filters);
+    const whereSql = `WHERE ${READABLE_PLANS}${where.sql ? ` AND ${where.sql}` : ""}`;
+    where.params.unshift(agentName, agentName);
+
+    const plans = db.prepare(`SELECT * FROM plans ${whereSql} ORDER BY created_at DESC`).all(...where.params);
+    if (plans.length === 0) {
+      return { content: [{ type: "text", text: "No plans found in that range." }] };
+    }
+
+    const inPlans = `plan_id IN (SELECT id FROM plans ${whereSql})`;
+    const stepsByPlan = new Map();
+    for (const r of db.prepare(`SELECT * FROM plan_steps WHERE ${inPlans} ORDER BY position`).all(...where.params)) {
+      if (!stepsByPlan.has(r.plan_id)) stepsByPlan.set(r.plan_id, []);
+      stepsByPlan.get(r.plan_id).push({ ...r, id: r.step_id });
+    }
+    const blocked = blockedMinutes(
+      db.prepare(`SELECT plan_id, step_id, to_status, changed_at FROM plan_step_history WHERE ${inPlans} ORDER BY id`).all(...where.params)
+    );
+
+    const overall = emptyStats();
+    const byAgent = new Map();
+    const perPlan = [];
+    for (const plan of plans) {
+      const steps = stepsByPlan.get(plan.id) || [];
+      addPlanStats(overall, plan, steps, blocked);
+      if (!byAgent.has(plan.agent_name)) byAgent.set(plan.agent_name, emptyStats());
+      addPlanStats(byAgent.get(plan.agent_name), plan, steps, blocked);
+      if (perPlan.length < limit) {
+        const single = emptyStats();
+        addPlanStats(single, plan, steps, blocked);
+        perPlan.push(`  [${plan.id}] ${plan.title} (${plan.agent_name}) [${plan.status}] ${plan.progress} | ${formatStats(single, { withPlans: false })}`);
+      }
+    }
+
+    const range = `${since || "beginning"} → ${until || "now"}`;
+    const lines = [
+      `Plan stats: ${range}, ${agent ? `agent ${agent}` : "all agents"}`,
+      `Overall: ${formatStats(overall)}`,
+    ];
+    if (byAgent.size > 1) {
+      lines.push("", "By agent:");
+      for (const [name, stats] of [...byAgent].sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(`  ${name}: ${formatStats(stats)}`);
+      }
+    }
+    lines.push("", `Plans (${perPlan.length} most recent of ${plans.length}):`, ...perPlan);
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Taskboard bridge ─────────────────────────────────────────────────
+
+const NO_TASKBOARD = {
+  content: [{ type: "text", text: "Error: Taskboard database is not available. Set MCP_TASKBOARD_DB_PATH." }],
+  isError: true,
+};
+
+// Taskboard statuses with a direct plan step equivalent; the rest map to pending
+const TASK_STEP_STATUS = { done: "done", in_progress: "in_progress", blocked: "blocked" };
+
+/**
+ * Move a linked taskboard task to done, through its pipeline's checks.
+ * A rejected move leaves the task where it is; the caller must finish it on
+ * the taskboard.
+ * @returns {{text: string, rejected: boolean}|null} null if already done
+ */
+function pushTaskDone(taskboardDb, agentName, taskId) {
+  const task = taskboardDb.prepare("SELECT status FROM tasks WHERE id = ?").get(taskId);
+  if (!task) return { text: `Warning: linked task ${taskId} not found in the taskboard.`, rejected: true };
+  if (task.status === "done") return null;
+
+  const result = updateTask(taskboardDb, agentName, { task_id: taskId, status: "done" });
+  if (result.isError) {
+    const reason = result.content[0].text.replace(/^Error: /, "");
+    return {
+      text: `Warning: linked task ${taskId} is still ${task.status} — the taskboard rejected the move to done: ${reason} Finish it on the taskboard.`,
+      rejected: true,
+    };
+  }
+  return { text: `Linked task ${taskId}: ${task.status} → done`, rejected: false };
+}
+
+export function createTaskFromStep(db, agentName, { step_id, project, parent_task_id, priority, assigned_to, plan_id, taskboardDb }) {
+  try {
+    if (!taskboardDb) return NO_TASKBOARD;
+    const { plan, steps, error } = loadEditablePlan(db, agentName, plan_id);
+    if (error) return error;
+
+    const step = steps.find((s) => s.id === step_id);
+    if (!step) return stepNotFound(step_id, steps);
+    if (step.task_ref) {
+      return { content: [{ type: "text", text: `Error: Step ${step_id} is already linked to task ${step.task_ref}.` }], isError: true };
+    }
+    if (SATISFIED_STATUSES.includes(step.status)) {
+      return { content: [{ type: "text", text: `Error: Step ${step_id} is already ${step.status}.` }], isError: true };
+    }
+
+    const taskId = uuid8();
+    const created = createTask(taskboardDb, agentName, {
+      id: taskId,
+      project,
+      parent_task_id,
+      priority,
+      assigned_to,
+      title: step.description,
+      description: `Plan "${plan.title}" (${plan.id}), step ${step.id}`,
+    });
+    if (created.isError) return created;
+
+    step.task_ref = taskId;
+    writeSteps(db, plan.id, steps, agentName);
+    db.prepare("UPDATE plans SET updated_at = ? WHERE id = ?").run(now(), plan.id);
+
+    return { content: [{ type: "text", text: `${created.content[0].text}\nLinked to step ${step_id} of "${plan.title}".` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function createPlanFromTask(db, agentName, { task_id, concurrent = false, taskboardDb }) {
+  try {
+    if (!taskboardDb) return NO_TASKBOARD;
+    const task = taskboardDb.prepare("SELECT * FROM tasks WHERE id = ?").get(task_id);
+    if (!task) {
+      return { content: [{ type: "text", text: `Task '${task_id}' not found.` }], isError: true };
+    }
+    const subtasks = taskboardDb.prepare(
+      "SELECT * FROM tasks WHERE parent_task_id = ? ORDER BY created_at, rowid"
+    ).all(task_id);
+    if (subtasks.length === 0) {
+      return { content: [{ type: "text", text: `Error: Task ${task_id} has no subtasks to turn into steps.` }], isError: true };
+    }
+    if (subtasks.length > MAX_PLAN_STEPS) {
+      return { content: [{ type: "text", text: `Error: Plans are limited to ${MAX_PLAN_STEPS} steps.` }], isError: true };
+    }
+
+    // Dependencies between subtasks become step dependencies
+    const stepIds = new Map(subtasks.map((t, i) => [t.id, i + 1]));
+    const deps = taskboardDb.prepare(
+      `SELECT task_id, depends_on_id FROM task_deps WHERE task_id IN (${subtasks.map(() => "?").join(", ")})`
+    ).all(...subtasks.map((t) => t.id));
+    const created = createPlan(db, agentName, {
+      title: task.title,
+      concurrent,
+      steps: subtasks.map((t) => ({
+        description: t.title,
+        depends_on: deps.filter((d) => d.task_id === t.id && stepIds.has(d.depends_on_id)).map((d) => stepIds.get(d.depends_on_id)),
+      })),
+    });
+    if (created.isError) return created;
+
+    const plan = currentPlan(db, agentName);
+    const steps = getSteps(db, plan.id);
+    subtasks.forEach((t, i) => {
+      steps[i].task_ref = t.id;
+      steps[i].status = TASK_STEP_STATUS[t.status] || "pending";
+    });
+    commitSteps(db, agentName, plan, steps);
+
+    const saved = db.prepare("SELECT * FROM plans WHERE id = ?").get(plan.id);
+    return {
+      content: [{
+        type: "text",
+        text: `Plan created from task ${task_id}: ${plan.id} (${subtasks.length} subtasks linked)\n\n${formatPlan(saved, getSteps(db, plan.id))}`,
+      }],
+    };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function syncStepTasks(db, agentName, { plan_id, taskboardDb }) {
+  try {
+    if (!taskboardDb) return NO_TASKBOARD;
+    const plan = findPlan(db, agentName, plan_id, "write");
+    if (!plan) {
+      return { content: [{ type: "text", text: "No active plan found." }] };
+    }
+    if (!OPEN_STATUSES.includes(plan.status)) {
+      return { content: [{ type: "text", text: `Error: Plan ${plan.id} is ${plan.status}; only active or paused plans are synced.` }], isError: true };
+    }
+
+    const steps = getSteps(db, plan.id);
+    const linked = steps.filter((s) => s.task_ref);
+    if (linked.length === 0) {
+      return { content: [{ type: "text", text: `Plan "${plan.title}" has no steps linked to tasks.` }] };
+    }
+
+    const lines = [];
+    let pulled = 0;
+    let rejected = 0;
+    for (const step of linked) {
+      const task = taskboardDb.prepare("SELECT status FROM tasks WHERE id = ?").get(step.task_ref);
+      if (!task) {
+        lines.push(`  Step ${step.id}: task ${step.task_ref} not found`);
+      } else if (task.status === "done" && !SATISFIED_STATUSES.includes(step.status)) {
+        lines.push(`  Step ${step.id}: ${step.status} → done (task ${step.task_ref} is done)`);
+        step.status = "done";
+        step.completed_at = now();
+        pulled++;
+      } else if (step.status === "done" && task.status !== "done") {
+        const pushed = pushTaskDone(taskboardDb, agentName, step.task_ref);
+        if (pushed.rejected) rejected++;
+        lines.push(`  Step ${step.id}: ${pushed.text}`);
+      } else {
+        lines.push(`  Step ${step.id} [${step.status}] ↔ task ${step.task_ref} [${task.status}]`);
+      }
+    }
+
+    let footer = "";
+    if (rejected > 0) footer += `\n${rejected} linked task(s) could not be moved to done — finish them on the taskboard.`;
+    if (pulled > 0) {
+      const { progress, allDone, rolled } = commitSteps(db, agentName, plan, steps);
+      footer += `\nProgress: ${progress}`;
+      if (allDone) footer += `\nAll steps complete! Plan marked as completed.${rolled.length > 0 ? `\n${rolled.join("\n")}` : ""}`;
+    }
+    return { content: [{ type: "text", text: `Synced ${linked.length} linked step(s) of "${plan.title}":\n${lines.join("\n")}${footer}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Progress log & checkpoints ───────────────────────────────────────
+
+// Checkpoints are resume hints, not storage — keep them small
+const MAX_CHECKPOINT_CHARS = 10000;
+
+/**
+ * "Resume from here" block for unfinished steps that have logged progress:
+ * the latest log message and the latest checkpoint of each.
+ * @returns {string|null}
+ */
+function formatResumePoints(db, plan, steps) {
+  const latest = db.prepare(
+    `SELECT l.* FROM plan_step_log l
+     WHERE l.plan_id = ? AND l.id = (SELECT MAX(id) FROM plan_step_log WHERE plan_id = l.plan_id AND step_id = l.step_id)`
+  ).all(plan.id);
+  const checkpoints = db.prepare(
+    `SELECT l.* FROM plan_step_log l
+     WHERE l.plan_id = ? AND l.id = (
+       SELECT MAX(id) FROM plan_step_log WHERE plan_id = l.plan_id AND step_id = l.step_id AND checkpoint IS NOT NULL
+     )`
+  ).all(plan.id);
+  const lastLog = new Map(latest.map((r) => [r.step_id, r]));
+  const lastCheckpoint = new Map(checkpoints.map((r) => [r.step_id, r]));
+
+  const lines = [];
+  for (const step of steps) {
+    if (SATISFIED_STATUSES.includes(step.status) || !lastLog.has(step.id)) continue;
+    const log = lastLog.get(step.id);
+    lines.push(`  Step ${step.id}: ${step.description} [${step.status}]`);
+    lines.push(`    Last progress (${log.created_at}, ${log.agent_name}): ${log.message}`);
+    const cp = lastCheckpoint.get(step.id);
+    if (cp) lines.push(`    Checkpoint (${cp.created_at}): ${cp.checkpoint}`);
+  }
+  return lines.length > 0 ? ["Resume from here:", ...lines].join("\n") : null;
+}
+
+export function logStepProgress(db, agentName, { step_id, message, checkpoint, plan_id }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "write");
+    if (!plan) {
+      return { content: [{ type: "text", text: "No active plan found. Create one with create_plan first." }] };
+    }
+    if (!OPEN_STATUSES.includes(plan.status)) {
+      return { content: [{ type: "text", text: `Error: Plan ${plan.id} is ${plan.status}; progress can only be logged on active or paused plans.` }], isError: true };
+    }
+    const steps = getSteps(db, plan.id);
+    if (!steps.some((s) => s.id === step_id)) return stepNotFound(step_id, steps);
+
+    const checkpointJson = checkpoint === undefined ? null : JSON.stringify(checkpoint);
+    if (checkpointJson && checkpointJson.length > MAX_CHECKPOINT_CHARS) {
+      return { content: [{ type: "text", text: `Error: Checkpoint is ${checkpointJson.length} characters; the limit is ${MAX_CHECKPOINT_CHARS}.` }], isError: true };
+    }
+
+    const ts = now();
+    db.prepare(
+      `INSERT INTO plan_step_log (plan_id, step_id, agent_name, message, checkpoint, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(plan.id, step_id, agentName, message, checkpointJson, ts);
+    db.prepare("UPDATE plans SET updated_at = ? WHERE id = ?").run(ts, plan.id);
+
+    const count = db.prepare("SELECT COUNT(*) AS n FROM plan_step_log WHERE plan_id = ? AND step_id = ?").get(plan.id, step_id).n;
+    return {
+      content: [{ type: "text", text: `Logged progress on step ${step_id} (${count} entries)${checkpointJson ? " with checkpoint" : ""}.` }],
+    };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function getStepLog(db, agentName, { step_id, plan_id, limit = 20 }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id);
+    if (!plan) {
+      return { content: [{ type: "text", text: "No active plan found." }] };
+    }
+    const steps = getSteps(db, plan.id);
+    const step = steps.find((s) => s.id === step_id);
+    if (!step) return stepNotFound(step_id, steps);
+
+    // Most recent entries, shown oldest first
+    const rows = db.prepare(
+      "SELECT * FROM plan_step_log WHERE plan_id = ? AND step_id = ? ORDER BY id DESC LIMIT ?"
+    ).all(plan.id, step_id, limit).reverse();
+    if (rows.length === 0) {
+      return { content: [{ type: "text", text: `No progress logged for step ${step_id}.` }] };
+    }
+
+    const lines = [`Step ${step.id}: ${step.description} [${step.status}]`, ""];
+    for (const r of rows) {
+      lines.push(`  ${r.created_at} ${r.agent_name}: ${r.message}`);
+      if (r.checkpoint) lines.push(`    checkpoint: ${r.checkpoint}`);
+    }
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Sharing ──────────────────────────────────────────────────────────
+
+export function sharePlan(db, agentName, { plan_id, agent_name, access }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "owner");
+    if (!plan) {
+      return { content: [{ type: "text", text: `Plan ${plan_id} not found.` }], isError: true };
+    }
+    if (agent_name === agentName) {
+      return { content: [{ type: "text", text: "Error: You already own this plan." }], isError: true };
+    }
+
+    const previous = db.prepare("SELECT access FROM plan_grants WHERE plan_id = ? AND agent_name = ?").get(plan.id, agent_name);
+    db.prepare(
+      `INSERT INTO plan_grants (plan_id, agent_name, access, granted_by, granted_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(plan_id, agent_name) DO UPDATE SET access = excluded.access, granted_by = excluded.granted_by, granted_at = excluded.granted_at`
+    ).run(plan.id, agent_name, access, agentName, now());
+
+    const change = previous ? ` (was ${previous.access})` : "";
+    const what = access === "write"
+      ? "can now view, update and edit it"
+      : "can now view it (get_plan, next_steps, get_step_log)";
+    return { content: [{ type: "text", text: `Plan "${plan.title}" shared with ${agent_name}: ${access}${change}. They ${what}.` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function unsharePlan(db, agentName, { plan_id, agent_name }) {
+  try {
+    const plan = findPlan(db, agentName, plan_id, "owner");
+    if (!plan) {
+      return { content: [{ type: "text", text: `Plan ${plan_id} not found.` }], isError: true };
+    }
+
+    const result = db.prepare("DELETE FROM plan_grants WHERE plan_id = ? AND agent_name = ?").run(plan.id, agent_name);
+    if (result.changes === 0) {
+      return { content: [{ type: "text", text: `Plan "${plan.title}" is not shared with ${agent_name}.` }], isError: true };
+    }
+    return { content: [{ type: "text", text: `Plan "${plan.title}" is no longer shared with ${agent_name}.` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// ── Team overview ────────────────────────────────────────────────────
+
+/**
+ * Remember which team an agent belongs to (from its MCP_AGENT_TEAM), so
+ * teammates' overviews include its plans. A null team forgets it.
+ */
+export function recordAgentTeam(db, agentName, team) {
+  if (team) {
+    db.prepare(
+      `INSERT INTO agent_teams (agent_name, team, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(agent_name) DO UPDATE SET team = excluded.team, updated_at = excluded.updated_at`
+    ).run(agentName, team, now());
+  } else {
+    db.prepare("DELETE FROM agent_teams WHERE agent_name = ?").run(agentName);
+  }
+}
+
+// Open plans untouched for longer than this are flagged as stalled
+const STALLED_AFTER_MINUTES = 120;
+
+/**
+ * Every agent's open plans at a glance: progress, in-progress and blocked
+ * steps, and how long since each plan last changed. The admin agent sees all
+ * agents; everyone else sees their own plans and those shared with them.
+ */
+export function teamPlans(db, agentName, { agent, include_paused = false, stalled_minutes = STALLED_AFTER_MINUTES, admin = false, team = null }) {
+  try {
+    const statuses = include_paused ? OPEN_STATUSES : ["active"];
+    const conditions = [`status IN (${statuses.map(() => "?").join(", ")})`];
+    const params = [...statuses];
+    if (agent) {
+      conditions.push("agent_name = ?");
+      params.push(agent);
+    }
+    const scope = overviewScope(agentName, admin, team);
+    if (scope.condition) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    const plans = db.prepare(
+      `SELECT * FROM plans WHERE ${conditions.join(" AND ")} ORDER BY agent_name, updated_at DESC`
+    ).all(...params);
+    if (plans.length === 0) {
+      return { content: [{ type: "text", text: agent ? `No open plans for ${agent}.` : "No open plans." }] };
+    }
+
+    // A plan counts as focused when its owner has it focused
+    const focused = new Set(db.prepare(
+      "SELECT f.plan_id FROM plan_focus f JOIN plans p ON p.id = f.plan_id AND p.agent_name = f.agent_name"
+    ).all().map((f) => f.plan_id));
+    const nowMs = Date.now();
+    const byAgent = new Map();
+    for (const p of plans) {
+      if (!byAgent.has(p.agent_name)) byAgent.set(p.agent_name, []);
+      byAgent.get(p.agent_name).push(p);
+    }
+
+    let stalled = 0;
+    const lines = [];
+    for (const [name, agentPlans] of byAgent) {
+      lines.push("", `${name}:`);
+      for (const p of agentPlans) {
+        const idle = Math.max(0, (nowMs - Date.parse(p.updated_at)) / 60000);
+        const isStalled = p.status === "active" && idle >= stalled_minutes;
+        if (isStalled) stalled++;
+        const icon = p.status === "paused" ? "‖" : "▸";
+        const focus = focused.has(p.id) ? " ← focus" : "";
+        const flag = isStalled ? " ⚠ stalled" : "";
+        lines.push(`  ${icon} [${p.id}] ${p.title} (${p.progress}) [${p.status}]${focus} — updated ${formatMinutes(idle)} ago${flag}`);
+
+        const steps = getSteps(db, p.id);
+        for (const s of steps.filter((s) => s.status === "in_progress")) {
+          const since = s.started_at ? ` (started ${formatMinutes(Math.max(0, (nowMs - Date.parse(s.started_at)) / 60000))} ago)` : "";
+          lines.push(`      ▸ Step ${s.id}: ${s.description} [in_progress]${since}`);
+        }
+        for (const s of steps.filter((s) => s.status === "blocked")) {
+          const reason = s.blocked_reason || s.notes;
+          lines.push(`      ✗ Step ${s.id}: ${s.description} [blocked]${reason ? ` — ${reason}` : ""}`);
+        }
+      }
+    }
+
+    const header = `Team plans: ${plans.length} open across ${byAgent.size} agent(s) (${scope.label})` +
+      (stalled > 0 ? ` | ${stalled} stalled (no update for ${formatMinutes(stalled_minutes)}+)` : "");
+    return { content: [{ type: "text", text: [header, ...lines].join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// Hours of inactivity before stale_report flags a plan or a step
+export const STALE_PLAN_HOURS = { active: 24, paused: 168 };
+export const STALE_STEP_HOURS = { in_progress: 24, blocked: 48 };
+
+/**
+ * Plans and steps that stopped moving. A plan is idle since its last update
+ * or progress log entry; a step since it entered its current status or was
+ * last logged. Visibility follows team_plans.
+ */
+export function staleReport(db, agentName, { agent, plan_hours = {}, step_hours = {}, admin = false, team = null }) {
+  try {
+    const planLimits = { ...STALE_PLAN_HOURS, ...plan_hours };
+    const stepLimits = { ...STALE_STEP_HOURS, ...step_hours };
+
+    const conditions = [`status IN (${OPEN_STATUSES.map(() => "?").join(", ")})`];
+    const params = [...OPEN_STATUSES];
+    if (agent) {
+      conditions.push("agent_name = ?");
+      params.push(agent);
+    }
+    const scope = overviewScope(agentName, admin, team);
+    if (scope.condition) {
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+    const plans = db.prepare(
+      `SELECT p.*, (SELECT MAX(created_at) FROM plan_step_log l WHERE l.plan_id = p.id) AS last_logged
+       FROM plans p WHERE ${conditions.join(" AND ")}`
+    ).all(...params);
+
+    const nowMs = Date.now();
+    const idleMinutes = (...stamps) => {
+      const latest = Math.max(...stamps.filter(Boolean).map((s) => Date.parse(s)));
+      return Math.max(0, (nowMs - latest) / 60000);
+    };
+
+    const stalePlans = [];
+    const staleSteps = [];
+    for (const p of plans) {
+      const idle = idleMinutes(p.updated_at, p.last_logged);
+      if (planLimits[p.status] > 0 && idle >= planLimits[p.status] * 60) stalePlans.push({ ...p, idle });
+      if (p.status !== "active") continue;
+
+      const steps = db.prepare(
+        `SELECT s.*,
+           (SELECT MAX(changed_at) FROM plan_step_history h
+            WHERE h.plan_id = s.plan_id AND h.step_id = s.step_id AND h.to_status = s.status) AS status_since,
+           (SELECT MAX(created_at) FROM plan_step_log l
+            WHERE l.plan_id = s.plan_id AND l.step_id = s.step_id) AS last_logged
+         FROM plan_steps s WHERE s.plan_id = ? AND s.status IN ('in_progress', 'blocked') ORDER BY s.position`
+      ).all(p.id);
+      for (const s of steps) {
+        const hours = stepLimits[s.status];
+        const idle = idleMinutes(s.status_since ?? s.started_at ?? p.created_at, s.last_logged);
+        if (hours > 0 && idle >= hours * 60) staleSteps.push({ ...s, plan: p, idle });
+      }
+    }
+
+    const thresholds = [
+      ...Object.entries(planLimits).map(([status, hours]) => `${status} plans ${hours}h`),
+      ...Object.entries(stepLimits).map(([status, hours]) => `${status} steps ${hours}h`),
+    ].join(", ");
+    if (stalePlans.length === 0 && staleSteps.length === 0) {
+      return { content: [{ type: "text", text: `No stale plans or steps (thresholds: ${thresholds}).` }] };
+    }
+
+    const lines = [`Stale work: ${stalePlans.length} plan(s), ${staleSteps.length} step(s) (thresholds: ${thresholds})`];
+    if (stalePlans.length > 0) {
+      lines.push("", "Plans:");
+      for (const p of stalePlans.sort((a, b) => b.idle - a.idle)) {
+        lines.push(`  [${p.id}] ${p.title} (${p.agent_name}) [${p.status}] ${p.progress} — idle ${formatMinutes(p.idle)}`);
+      }
+    }
+    if (staleSteps.length > 0) {
+      lines.push("", "Steps:");
+      for (const s of staleSteps.sort((a, b) => b.idle - a.idle)) {
+        const reason = s.status === "blocked" && (s.blocked_reason || s.notes) ? ` — ${s.blocked_reason || s.notes}` : "";
+        lines.push(`  [${s.plan.id}] ${s.plan.title} (${s.plan.agent_name}) step ${s.step_id}: ${s.description} [${s.status}] — idle ${formatMinutes(s.idle)}${reason}`);
+      }
+    }
+    return { content: [{ type: "text", text: lines.join("\n") }] };
   } catch (err) {
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
@@ -3,28 +3,75 @@
  * MCP Planner Server — structured multi-step action plans for AI agents.
  *
  * Create plans with ordered steps, track progress across sessions,
- * and complete or abandon plans. Only one active plan per agent at a time.
+ * and complete or abandon plans. Creating a plan supersedes the agent's
+ * active plan unless `concurrent` is set; the focused plan is the default
+ * target for step updates. A step can be expanded into a sub-plan whose
+ * completion rolls up to it.
+ * Steps may depend on other steps; a step can't start until they're done.
  *
  * Tools:
  *   - create_plan: Create a new multi-step action plan
  *   - update_step: Update a step's status (done/in_progress/blocked/skipped)
  *   - get_plan: Get current active plan or a specific plan by ID
+ *   - next_steps: List steps whose prerequisites are done
  *   - list_plans: List recent plans
  *   - complete_plan: Mark the active plan as completed
  *   - abandon_plan: Abandon the active plan with a reason
+ *   - focus_plan: Choose which active plan tools default to
+ *   - pause_plan / resume_plan: Set a plan aside and pick it up later
+ *   - reopen_plan: Bring back a completed, abandoned or superseded plan
+ *   - add_step / remove_step / reorder_steps / edit_step / split_step:
+ *     Replan the active plan in place (step ids stay stable)
+ *   - save_plan_template / list_plan_templates / create_plan_from_template:
+ *     Reusable plans with {{variable}} substitution
+ *   - plan_stats: Estimate accuracy, step durations, blocked time and abandonment
+ *   - create_task_from_step / create_plan_from_task / sync_step_tasks:
+ *     Link steps to taskboard tasks and sync their done state
+ *   - log_step_progress / get_step_log: Append-only step log with resumable checkpoints
+ *   - share_plan / unshare_plan: Grant other agents read or write access to a plan
+ *   - team_plans: Supervisor view of the team's open plans, flagging stalled ones
+ *   - stale_report: Plans and steps that stopped moving
  */
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { createDb, getAgentName } from "../../shared/db.js";
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { createDb, getAgentName, getAgentTeam, openDb, isAdminAgent } from "../../shared/db.js";
+import { initSchema as initTaskboardSchema } from "../taskboard/handlers.js";
 import {
   initSchema,
   createPlan,
   updateStep,
   getPlan,
+  nextSteps,
   listPlans,
   completePlan,
   abandonPlan,
+  addStep,
+  removeStep,
+  reorderSteps,
+  editStep,
+  splitStep,
+  focusPlan,
+  pausePlan,
+  resumePlan,
+  reopenPlan,
+  savePlanTemplate,
+  listPlanTemplates,
+  createPlanFromTemplate,
+  planStats,
+  createTaskFromStep,
+  createPlanFromTask,
+  syncStepTasks,
+  logStepProgress,
+  getStepLog,
+  sharePlan,
+  unsharePlan,
+  teamPlans,
+  staleReport,
+  recordAgentTeam,
 } from "./handlers.js";
 
 // ── Init ─────────────────────────────────────────────────────────────
@@ -32,6 +79,22 @@ import {
 const db = createDb("planner");
 initSchema(db);
 
+// Teammates' team_plans and stale_report include this agent's plans
+recordAgentTeam(db, getAgentName(), getAgentTeam());
+
+// The taskboard database is opened on first use, and only if it exists.
+// MCP_DB_PATH is the planner's own database, so it is not a fallback here.
+const taskboardPath = process.env.MCP_TASKBOARD_DB_PATH || join(homedir(), ".mcp-suite", "taskboard.db");
+let taskboardDb = null;
+
+function getTaskboardDb() {
+  if (!taskboardDb && existsSync(taskboardPath)) {
+    taskboardDb = openDb(taskboardPath);
+    initTaskboardSchema(taskboardDb);
+  }
+  return taskboardDb;
+}
+
 const server = new McpServer({
   name: "mcp-planner",
   version: "1.0.0",
@@ -41,41 +104,65 @@ const server = new McpServer({
 
 server.tool(
   "create_plan",
-  "Create a new multi-step action plan. Any existing active plan is automatically superseded. Use this to break complex tasks into trackable steps that persist across sessions.",
+  "Create a new multi-step action plan. Any existing active plan is automatically superseded unless concurrent is set (e.g. for an interrupt you'll return from); either way the new plan becomes your focus. With parent_plan_id + parent_step_id it becomes a sub-plan: it never supersedes anything, and when it completes the parent step is marked done (abandoned → blocked). Use this to break complex tasks into trackable steps that persist across sessions. Steps are numbered from 1; give a step depends_on to make it wait for others, so independent steps can run as parallel branches.",
   {
     title: z.string().max(200).describe("Plan title (e.g. 'Deploy email notification system')"),
-    steps: z.array(z.string().max(500)).min(1).max(20).describe("Ordered list of step descriptions"),
+    steps: z.array(
+      z.union([
+        z.string().max(500),
+        z.object({
+          description: z.string().max(500),
+          depends_on: z.array(z.number().int().min(1)).optional().describe("Step numbers that must be done or skipped first"),
+          estimate_minutes: z.number().int().min(1).optional().describe("Expected time for the step, in minutes"),
+        }),
+      ])
+    ).min(1).max(20).describe("Ordered list of step descriptions, or { description, depends_on, estimate_minutes } objects"),
+    concurrent: z.boolean().default(false).describe("Keep your other active plans active instead of superseding them"),
+    parent_plan_id: z.string().optional().describe("Make this a sub-plan expanding a step of this plan"),
+    parent_step_id: z.number().int().min(1).optional().describe("The parent plan's step this sub-plan expands"),
   },
   async (params) => createPlan(db, getAgentName(), params)
 );
 
 server.tool(
   "update_step",
-  "Update a step's status in your active plan. Use this as you make progress through your plan steps.",
+  "Update a step's status in your active plan. Use this as you make progress through your plan steps. Starting or finishing a step whose prerequisites aren't done or skipped is rejected unless force is set. Marking a step linked to a taskboard task done also moves the task to done when its pipeline allows it.",
   {
     step_id: z.number().int().min(1).describe("Step number to update"),
     status: z.enum(["done", "in_progress", "blocked", "skipped", "pending"]).describe("New status"),
     notes: z.string().optional().describe("Optional notes about this step"),
+    blocked_reason: z.string().optional().describe("Why the step is blocked (defaults to notes when status is blocked)"),
     plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+    force: z.boolean().default(false).describe("Start or finish the step even if its prerequisites are unmet"),
   },
-  async (params) => updateStep(db, getAgentName(), params)
+  async (params) => updateStep(db, getAgentName(), { ...params, taskboardDb: getTaskboardDb() })
 );
 
 server.tool(
   "get_plan",
-  "Get your current active plan, or a specific plan by ID. Shows all steps with their status.",
+  "Get your current active plan, or a specific plan by ID. Shows all steps with their status, plus a \"Resume from here\" section with the latest progress and checkpoint of unfinished steps.",
   {
     plan_id: z.string().optional().describe("Specific plan ID (defaults to current active plan)"),
   },
   async (params) => getPlan(db, getAgentName(), params)
 );
 
+server.tool(
+  "next_steps",
+  "List the steps you can work on now: pending steps whose prerequisites are all done or skipped, plus anything already in progress.",
+  {
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => nextSteps(db, getAgentName(), params)
+);
+
 server.tool(
   "list_plans",
   "List your recent plans. Shows a summary of each plan with status and progress.",
   {
-    status: z.enum(["active", "completed", "abandoned", "superseded", "all"]).default("all").describe("Filter by status"),
+    status: z.enum(["active", "paused", "completed", "abandoned", "superseded", "all"]).default("all").describe("Filter by status"),
     limit: z.number().min(1).max(50).default(10).describe("Max results"),
+    include_shared: z.boolean().default(false).describe("Also list plans other agents have shared with you"),
   },
   async (params) => listPlans(db, getAgentName(), params)
 );
@@ -100,6 +187,279 @@ server.tool(
   async (params) => abandonPlan(db, getAgentName(), params)
 );
 
+server.tool(
+  "focus_plan",
+  "Switch focus to another of your active plans. update_step, get_plan, next_steps and the plan-editing tools default to the focused plan.",
+  {
+    plan_id: z.string().describe("Active plan to focus"),
+  },
+  async (params) => focusPlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "pause_plan",
+  "Pause an active plan (defaults to the focused one) without abandoning it — e.g. to handle an incident. Focus falls back to your most recent other active plan.",
+  {
+    plan_id: z.string().optional().describe("Plan ID (defaults to current focused plan)"),
+    reason: z.string().optional().describe("Why the plan is paused"),
+  },
+  async (params) => pausePlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "resume_plan",
+  "Resume a paused plan and focus it. Defaults to your most recently paused plan.",
+  {
+    plan_id: z.string().optional().describe("Paused plan ID"),
+  },
+  async (params) => resumePlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "reopen_plan",
+  "Reopen one of your completed, abandoned or superseded plans — e.g. after a premature auto-complete or a mistaken abandon. Removes the [ABANDONED] step, supersedes your other active plans (unless concurrent, a sub-plan, or another agent's plan shared with you), focuses the plan, and records the reopen in the plan's history. Pass reopen_steps to move finished steps back to pending.",
+  {
+    plan_id: z.string().describe("Plan to reopen"),
+    reason: z.string().max(500).optional().describe("Why the plan is being reopened"),
+    reopen_steps: z.array(z.number().int().min(1)).optional().describe("Finished steps to move back to pending"),
+    concurrent: z.boolean().default(false).describe("Keep your other active plans active instead of superseding them"),
+  },
+  async (params) => reopenPlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "add_step",
+  "Insert a new step into your active plan — at a position, after a given step, or at the end. The new step gets the next unused id; existing ids never change.",
+  {
+    description: z.string().max(500).describe("Step description"),
+    position: z.number().int().min(1).optional().describe("1-based position in the plan"),
+    after_step_id: z.number().int().min(1).optional().describe("Insert right after this step"),
+    depends_on: z.array(z.number().int().min(1)).optional().describe("Step ids that must be done or skipped first"),
+    estimate_minutes: z.number().int().min(1).optional().describe("Expected time for the step, in minutes"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => addStep(db, getAgentName(), params)
+);
+
+server.tool(
+  "remove_step",
+  "Remove a step from your active plan. Steps that depended on it inherit its prerequisites. A step with an open sub-plan can't be removed.",
+  {
+    step_id: z.number().int().min(1).describe("Step to remove"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => removeStep(db, getAgentName(), params)
+);
+
+server.tool(
+  "reorder_steps",
+  "Reorder the steps of your active plan. Pass every step id once, in the new order.",
+  {
+    order: z.array(z.number().int().min(1)).min(1).describe("All step ids in their new order"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => reorderSteps(db, getAgentName(), params)
+);
+
+server.tool(
+  "edit_step",
+  "Change a step's description, prerequisites, estimate or linked taskboard task in your active plan.",
+  {
+    step_id: z.number().int().min(1).describe("Step to edit"),
+    description: z.string().max(500).optional().describe("New description"),
+    depends_on: z.array(z.number().int().min(1)).optional().describe("New prerequisite step ids (replaces existing)"),
+    estimate_minutes: z.number().int().min(1).nullable().optional().describe("New estimate in minutes (null clears it)"),
+    task_ref: z.string().nullable().optional().describe("Taskboard task ID tracking this step (null unlinks it)"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => editStep(db, getAgentName(), { ...params, taskboardDb: getTaskboardDb() })
+);
+
+server.tool(
+  "split_step",
+  "Split an unfinished step into smaller sequential steps. The original step keeps its id as the first part; steps that depended on it now wait for the last part.",
+  {
+    step_id: z.number().int().min(1).describe("Step to split"),
+    parts: z.array(z.string().max(500)).min(2).max(10).describe("Descriptions of the new steps, in order"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => splitStep(db, getAgentName(), params)
+);
+
+// ── Templates ────────────────────────────────────────────────────────
+
+server.tool(
+  "save_plan_template",
+  "Save a reusable plan template, either from a list of steps or by copying an existing plan's steps (plan_id). Use {{variable}} placeholders in the title and step descriptions, e.g. 'Release {{package}} {{version}}'. Templates are shared by all agents using this database.",
+  {
+    name: z.string().max(100).describe("Unique template name (e.g. 'release-package')"),
+    title: z.string().max(200).optional().describe("Plan title, may contain {{variables}} (defaults to the source plan's title)"),
+    steps: z.array(
+      z.union([
+        z.string().max(500),
+        z.object({
+          description: z.string().max(500),
+          depends_on: z.array(z.number().int().min(1)).optional().describe("Step numbers that must be done or skipped first"),
+          estimate_minutes: z.number().int().min(1).optional().describe("Expected time for the step, in minutes"),
+        }),
+      ])
+    ).min(1).max(50).optional().describe("Template steps; give this or plan_id"),
+    plan_id: z.string().optional().describe("Copy the steps of this plan instead"),
+    description: z.string().max(500).optional().describe("When to use this template"),
+    overwrite: z.boolean().default(false).describe("Replace an existing template with the same name (only its creator or the admin agent)"),
+  },
+  async (params) => savePlanTemplate(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "list_plan_templates",
+  "List saved plan templates with their step counts and the {{variables}} they expect.",
+  {
+    query: z.string().optional().describe("Filter by name, title or description"),
+  },
+  async (params) => listPlanTemplates(db, getAgentName(), params)
+);
+
+server.tool(
+  "create_plan_from_template",
+  "Create a plan from a saved template, substituting {{variable}} placeholders. Behaves like create_plan otherwise (supersedes your active plan unless concurrent, or becomes a sub-plan with parent_plan_id + parent_step_id).",
+  {
+    template: z.string().describe("Template name or ID"),
+    variables: z.record(z.string()).default({}).describe("Values for the template's variables, e.g. { package: 'auth', version: '1.2.0' }"),
+    title: z.string().max(200).optional().describe("Override the template's title"),
+    concurrent: z.boolean().default(false).describe("Keep your other active plans active instead of superseding them"),
+    parent_plan_id: z.string().optional().describe("Make this a sub-plan expanding a step of this plan"),
+    parent_step_id: z.number().int().min(1).optional().describe("The parent plan's step this sub-plan expands"),
+  },
+  async (params) => createPlanFromTemplate(db, getAgentName(), params)
+);
+
+// ── Analytics ────────────────────────────────────────────────────────
+
+server.tool(
+  "plan_stats",
+  "Report on plans created in a date range (your own and those shared with you): per-plan and per-agent estimate accuracy (actual vs estimate_minutes), average time per step (first in_progress → done), time spent blocked, and abandonment rate.",
+  {
+    since: z.string().optional().describe("Start date or ISO timestamp (inclusive, by plan creation)"),
+    until: z.string().optional().describe("End date or ISO timestamp (inclusive)"),
+    agent: z.string().optional().describe("Only this agent's plans (default: all agents)"),
+    plan_id: z.string().optional().describe("Only this plan"),
+    limit: z.number().int().min(1).max(100).default(10).describe("Max plans to list individually"),
+  },
+  async (params) => planStats(db, getAgentName(), params)
+);
+
+// ── Taskboard bridge ─────────────────────────────────────────────────
+
+server.tool(
+  "create_task_from_step",
+  "Create a taskboard task for a step of your active plan and link them (the step's task_ref). Once linked, marking the step done moves the task to done if its pipeline allows it (a rejected move is reported). Tasks finished on the taskboard only reach the step through sync_step_tasks.",
+  {
+    step_id: z.number().int().min(1).describe("Step to create a task for"),
+    project: z.string().optional().describe("Taskboard project (required unless parent_task_id is given)"),
+    parent_task_id: z.string().optional().describe("Create the task as a subtask of this task"),
+    priority: z.number().int().min(1).max(10).optional().describe("Task priority (1 = highest)"),
+    assigned_to: z.string().optional().describe("Agent to assign the task to"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => createTaskFromStep(db, getAgentName(), { ...params, taskboardDb: getTaskboardDb() })
+);
+
+server.tool(
+  "create_plan_from_task",
+  "Create a plan whose steps are a taskboard task's subtasks, each linked to its subtask. Dependencies between subtasks become step dependencies, and subtask statuses carry over.",
+  {
+    task_id: z.string().describe("Parent task whose subtasks become the steps"),
+    concurrent: z.boolean().default(false).describe("Keep your other active plans active instead of superseding them"),
+  },
+  async (params) => createPlanFromTask(db, getAgentName(), { ...params, taskboardDb: getTaskboardDb() })
+);
+
+server.tool(
+  "sync_step_tasks",
+  "Sync a plan's linked steps with their taskboard tasks: tasks that are done mark their steps done, and done steps move their tasks to done where the pipeline allows. Tasks the pipeline keeps open are listed and counted. Run this to pick up tasks finished on the taskboard — the planner is not notified of them.",
+  {
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => syncStepTasks(db, getAgentName(), { ...params, taskboardDb: getTaskboardDb() })
+);
+
+// ── Progress log ─────────────────────────────────────────────────────
+
+server.tool(
+  "log_step_progress",
+  "Append a progress entry to a step's log, optionally with a checkpoint: any JSON describing where you left off (files done, cursor, next item). get_plan shows the latest entry and checkpoint of unfinished steps under \"Resume from here\", so a restarted session can continue without redoing work. Unlike update_step notes, entries are never overwritten.",
+  {
+    step_id: z.number().int().min(1).describe("Step the progress belongs to"),
+    message: z.string().max(2000).describe("What was done or learned"),
+    checkpoint: z.unknown().optional().describe("Arbitrary JSON state to resume from (max 10,000 characters serialized)"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+  },
+  async (params) => logStepProgress(db, getAgentName(), params)
+);
+
+server.tool(
+  "get_step_log",
+  "Read a step's progress log, oldest first, including checkpoints.",
+  {
+    step_id: z.number().int().min(1).describe("Step to read"),
+    plan_id: z.string().optional().describe("Plan ID (defaults to current active plan)"),
+    limit: z.number().int().min(1).max(200).default(20).describe("Max most-recent entries"),
+  },
+  async (params) => getStepLog(db, getAgentName(), params)
+);
+
+// ── Sharing & team overview ──────────────────────────────────────────
+
+server.tool(
+  "share_plan",
+  "Share one of your plans with another agent. read lets them view it (get_plan, next_steps, get_step_log); write also lets them update, edit, focus, pause, complete and log progress on it. Sharing again changes the access level.",
+  {
+    plan_id: z.string().describe("Plan to share (must be yours)"),
+    agent_name: z.string().min(1).describe("Agent to share with"),
+    access: z.enum(["read", "write"]).default("read").describe("Access level to grant"),
+  },
+  async (params) => sharePlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "unshare_plan",
+  "Revoke another agent's access to one of your plans.",
+  {
+    plan_id: z.string().describe("Plan to unshare (must be yours)"),
+    agent_name: z.string().min(1).describe("Agent whose access to revoke"),
+  },
+  async (params) => unsharePlan(db, getAgentName(), params)
+);
+
+server.tool(
+  "team_plans",
+  "Overview of open plans across agents: progress, the in-progress step, blocked steps with reasons, and time since each plan was last updated. Plans idle longer than stalled_minutes are flagged. The admin agent (MCP_ADMIN_AGENT) sees all agents; others see their team's plans (agents with the same MCP_AGENT_TEAM), their own, and those shared with them.",
+  {
+    agent: z.string().optional().describe("Only this agent's plans"),
+    include_paused: z.boolean().default(false).describe("Also list paused plans"),
+    stalled_minutes: z.number().int().min(1).default(120).describe("Flag active plans not updated for this many minutes"),
+  },
+  async (params) => teamPlans(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()), team: getAgentTeam() })
+);
+
+server.tool(
+  "stale_report",
+  "Find plans and steps that stopped moving: open plans with no update or progress log entry, and in_progress or blocked steps that haven't changed status or been logged, for longer than their thresholds. Defaults: active plans 24h, paused plans 168h, in_progress steps 24h, blocked steps 48h. Visibility is the same as team_plans.",
+  {
+    agent: z.string().optional().describe("Only this agent's plans"),
+    plan_hours: z.object({
+      active: z.number().min(0).optional(),
+      paused: z.number().min(0).optional(),
+    }).default({}).describe("Idle hours before an active or paused plan is stale (0 = don't check)"),
+    step_hours: z.object({
+      in_progress: z.number().min(0).optional(),
+      blocked: z.number().min(0).optional(),
+    }).default({}).describe("Idle hours before an in_progress or blocked step is stale (0 = don't check)"),
+  },
+  async (params) => staleReport(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()), team: getAgentTeam() })
+);
+
 // ── Start ────────────────────────────────────────────────────────────
 
 const transport = new StdioServerTransport();
@@ -4,16 +4,51 @@
  */
 import Database from "better-sqlite3";
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  initSchema as initTaskboardSchema,
+  createTask,
+  updateTask,
+  addDependency,
+  assignPipelineToProject,
+} from "../taskboard/handlers.js";
 import {
   initSchema,
   createPlan,
   updateStep,
   getPlan,
+  nextSteps,
   listPlans,
   completePlan,
   abandonPlan,
+  addStep,
+  removeStep,
+  reorderSteps,
+  editStep,
+  splitStep,
+  focusPlan,
+  pausePlan,
+  resumePlan,
+  reopenPlan,
+  savePlanTemplate,
+  listPlanTemplates,
+  createPlanFromTemplate,
+  fillTemplate,
+  planStats,
+  createTaskFromStep,
+  createPlanFromTask,
+  syncStepTasks,
+  logStepProgress,
+  getStepLog,
+  sharePlan,
+  unsharePlan,
+  teamPlans,
+  staleReport,
+  recordAgentTeam,
+  getSteps,
   computeProgress,
   formatPlan,
+  readySteps,
+  validateDependencies,
 } from "./handlers.js";
 
 let db;
@@ -51,7 +86,7 @@ describe("createPlan", () => {
     expect(row.status).toBe("active");
     expect(row.progress).toBe("0/3");
 
-    const steps = JSON.parse(row.steps);
+    const steps = getSteps(db, id);
     expect(steps).toHaveLength(3);
     expect(steps[0].description).toBe("Step one");
     expect(steps[0].status).toBe("pending");
@@ -77,7 +112,7 @@ describe("updateStep", () => {
     expect(result.content[0].text).toContain("1/3");
 
     const row = db.prepare("SELECT * FROM plans WHERE id = ?").get(id);
-    const steps = JSON.parse(row.steps);
+    const steps = getSteps(db, id);
     expect(steps[0].status).toBe("done");
     expect(steps[0].completed_at).toBeTruthy();
     expect(row.progress).toBe("1/3");
@@ -104,8 +139,7 @@ describe("updateStep", () => {
     const id = quickPlan("alice");
     updateStep(db, "alice", { step_id: 1, status: "in_progress", notes: "Working on it" });
 
-    const row = db.prepare("SELECT steps FROM plans WHERE id = ?").get(id);
-    const steps = JSON.parse(row.steps);
+    const steps = getSteps(db, id);
     expect(steps[0].notes).toBe("Working on it");
   });
 });
@@ -169,7 +203,7 @@ describe("abandonPlan", () => {
 
     const row = db.prepare("SELECT * FROM plans WHERE id = ?").get(id);
     expect(row.status).toBe("abandoned");
-    const steps = JSON.parse(row.steps);
+    const steps = getSteps(db, id);
     expect(steps[steps.length - 1].description).toContain("[ABANDONED]");
   });
 });
@@ -186,3 +220,965 @@ describe("computeProgress", () => {
     expect(computeProgress(steps)).toBe("1/3");
   });
 });
+
+// ── dependencies ────────────────────────────────────────────────────
+
+describe("step dependencies", () => {
+  const dagSteps = [
+    "Design schema",
+    { description: "Write API", depends_on: [1] },
+    { description: "Write UI", depends_on: [1] },
+    { description: "Integration test", depends_on: [2, 3] },
+  ];
+
+  it("stores depends_on and rejects cycles or unknown steps", () => {
+    const id = quickPlan("alice", { steps: dagSteps });
+    const steps = getSteps(db, id);
+    expect(steps[0].depends_on).toEqual([]);
+    expect(steps[3].depends_on).toEqual([2, 3]);
+
+    const cycle = createPlan(db, "alice", {
+      title: "Cyclic",
+      steps: [{ description: "A", depends_on: [2] }, { description: "B", depends_on: [1] }],
+    });
+    expect(cycle.isError).toBe(true);
+    expect(cycle.content[0].text).toContain("cycle");
+
+    const unknown = createPlan(db, "alice", { title: "Bad", steps: [{ description: "A", depends_on: [5] }] });
+    expect(unknown.isError).toBe(true);
+
+    // A rejected plan must not supersede the active one
+    expect(db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status).toBe("active");
+  });
+
+  it("rejects starting a step with unmet prerequisites unless forced", () => {
+    quickPlan("alice", { steps: dagSteps });
+
+    const rejected = updateStep(db, "alice", { step_id: 4, status: "in_progress" });
+    expect(rejected.isError).toBe(true);
+    expect(rejected.content[0].text).toContain("waiting on step(s) 2, 3");
+
+    const forced = updateStep(db, "alice", { step_id: 4, status: "in_progress", force: true });
+    expect(forced.content[0].text).toContain("Warning");
+
+    // Blocking or skipping is always allowed
+    expect(updateStep(db, "alice", { step_id: 3, status: "blocked" }).isError).toBeUndefined();
+  });
+
+  it("lists parallel branches as ready once their prerequisite is done", () => {
+    quickPlan("alice", { steps: dagSteps });
+    expect(nextSteps(db, "alice", {}).content[0].text).toContain("Step 1: Design schema");
+
+    const done = updateStep(db, "alice", { step_id: 1, status: "done" });
+    expect(done.content[0].text).toContain("Now ready: Step 2, Step 3");
+
+    const text = nextSteps(db, "alice", {}).content[0].text;
+    expect(text).toContain("Ready to start (2)");
+    expect(text).not.toContain("Integration test");
+
+    updateStep(db, "alice", { step_id: 2, status: "done" });
+    updateStep(db, "alice", { step_id: 3, status: "skipped" });
+    expect(nextSteps(db, "alice", {}).content[0].text).toContain("Step 4: Integration test");
+  });
+
+  it("renders the DAG with depth indentation", () => {
+    quickPlan("alice", { steps: dagSteps });
+    const text = getPlan(db, "alice", {}).content[0].text;
+    expect(text).toContain("  ○ Step 1: Design schema [pending] (ready)");
+    expect(text).toContain("    ○ Step 2: Write API [pending] ← after 1");
+    expect(text).toContain("      ○ Step 4: Integration test [pending] ← after 2, 3");
+  });
+
+  it("treats plans without dependencies as before", () => {
+    const steps = [{ id: 1, status: "pending" }, { id: 2, status: "pending" }];
+    expect(readySteps(steps)).toHaveLength(2);
+    expect(validateDependencies(steps)).toBeNull();
+    expect(formatPlan({ id: "x", title: "T", status: "active", progress: "0/2", created_at: "now" }, steps)).not.toContain("ready");
+  });
+});
+
+// ── editing ─────────────────────────────────────────────────────────
+
+describe("plan editing", () => {
+  const stepsOf = (id) => getSteps(db, id);
+
+  it("adds steps at a position or after a step with fresh ids", () => {
+    const id = quickPlan("alice");
+    addStep(db, "alice", { description: "Step zero", position: 1 });
+    const result = addStep(db, "alice", { description: "Step one-and-a-half", after_step_id: 1 });
+    expect(result.content[0].text).toContain("Step 5 added at position 3");
+
+    const steps = stepsOf(id);
+    expect(steps.map((s) => s.id)).toEqual([4, 1, 5, 2, 3]);
+    expect(db.prepare("SELECT progress FROM plans WHERE id = ?").get(id).progress).toBe("0/5");
+  });
+
+  it("removes a step and rewires its dependents", () => {
+    const id = quickPlan("alice", {
+      steps: ["A", { description: "B", depends_on: [1] }, { description: "C", depends_on: [2] }],
+    });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    removeStep(db, "alice", { step_id: 2 });
+
+    const steps = stepsOf(id);
+    expect(steps.map((s) => s.id)).toEqual([1, 3]);
+    expect(steps[1].depends_on).toEqual([1]);
+    expect(db.prepare("SELECT progress FROM plans WHERE id = ?").get(id).progress).toBe("1/2");
+
+    // Ids are never reused
+    addStep(db, "alice", { description: "D" });
+    expect(stepsOf(id).map((s) => s.id)).toEqual([1, 3, 4]);
+  });
+
+  it("completes the plan when removing the last unfinished step", () => {
+    const id = quickPlan("alice", { steps: ["A", "B"] });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+
+    const result = removeStep(db, "alice", { step_id: 2 });
+    expect(result.content[0].text).toContain("All steps complete! Plan marked as completed.");
+    const plan = db.prepare("SELECT status, progress FROM plans WHERE id = ?").get(id);
+    expect(plan).toEqual({ status: "completed", progress: "1/1" });
+  });
+
+  it("refuses to remove a step with an open sub-plan", () => {
+    const parent = quickPlan("alice", { steps: ["Migrate", "Deploy"] });
+    const child = quickPlan("alice", { title: "Migrate", steps: ["Dump"], parent_plan_id: parent, parent_step_id: 1 });
+
+    const result = removeStep(db, "alice", { step_id: 1, plan_id: parent });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain(`open sub-plan (${child})`);
+    expect(getSteps(db, parent)).toHaveLength(2);
+  });
+
+  it("reorders with a full permutation only", () => {
+    const id = quickPlan("alice");
+    expect(reorderSteps(db, "alice", { order: [3, 1] }).isError).toBe(true);
+    reorderSteps(db, "alice", { order: [3, 1, 2] });
+    expect(stepsOf(id).map((s) => s.id)).toEqual([3, 1, 2]);
+  });
+
+  it("edits a step and rejects dependency cycles", () => {
+    const id = quickPlan("alice", { steps: ["A", { description: "B", depends_on: [1] }] });
+    editStep(db, "alice", { step_id: 1, description: "A, revised" });
+    expect(stepsOf(id)[0].description).toBe("A, revised");
+
+    const cycle = editStep(db, "alice", { step_id: 1, depends_on: [2] });
+    expect(cycle.isError).toBe(true);
+    expect(stepsOf(id)[0].depends_on).toEqual([]);
+  });
+
+  it("splits a step into a sequential chain", () => {
+    const id = quickPlan("alice", {
+      steps: ["Build", { description: "Ship", depends_on: [1] }],
+    });
+    const result = splitStep(db, "alice", { step_id: 1, parts: ["Build API", "Build UI", "Wire up"] });
+    expect(result.content[0].text).toContain("split into steps 1, 3, 4");
+
+    const steps = stepsOf(id);
+    expect(steps.map((s) => [s.id, s.description, s.depends_on])).toEqual([
+      [1, "Build API", []],
+      [3, "Build UI", [1]],
+      [4, "Wire up", [3]],
+      [2, "Ship", [4]],
+    ]);
+
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    expect(splitStep(db, "alice", { step_id: 1, parts: ["x", "y"] }).isError).toBe(true);
+  });
+
+  it("only edits open plans", () => {
+    const id = quickPlan("alice");
+    completePlan(db, "alice", {});
+    const result = addStep(db, "alice", { description: "Late", plan_id: id });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("only active or paused plans");
+  });
+});
+
+// ── concurrency, focus, pause ───────────────────────────────────────
+
+describe("concurrent plans and focus", () => {
+  const statusOf = (id) => db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status;
+
+  it("keeps other plans active when concurrent and focuses the new one", () => {
+    const main = quickPlan("alice", { title: "Main work" });
+    const incident = quickPlan("alice", { title: "Incident", concurrent: true });
+    expect(statusOf(main)).toBe("active");
+    expect(statusOf(incident)).toBe("active");
+
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    expect(getSteps(db, incident)[0].status).toBe("done");
+
+    const text = getPlan(db, "alice", {}).content[0].text;
+    expect(text).toContain("Plan: Incident");
+    expect(text).toContain(`Other open plans: [${main}] Main work (active)`);
+  });
+
+  it("switches the default plan with focus_plan", () => {
+    const main = quickPlan("alice", { title: "Main work" });
+    quickPlan("alice", { title: "Side quest", concurrent: true });
+
+    focusPlan(db, "alice", { plan_id: main });
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Plan: Main work");
+    expect(listPlans(db, "alice", {}).content[0].text).toMatch(/Main work .* ← focus/);
+
+    expect(focusPlan(db, "bob", { plan_id: main }).isError).toBe(true);
+  });
+
+  it("pauses and resumes a plan", () => {
+    const main = quickPlan("alice", { title: "Main work" });
+    const pause = pausePlan(db, "alice", { reason: "Incident" });
+    expect(pause.content[0].text).toContain("paused");
+    expect(statusOf(main)).toBe("paused");
+
+    // A new plan doesn't supersede the paused one
+    const incident = quickPlan("alice", { title: "Incident" });
+    expect(statusOf(main)).toBe("paused");
+
+    const blocked = updateStep(db, "alice", { step_id: 1, status: "done", plan_id: main });
+    expect(blocked.isError).toBe(true);
+    expect(focusPlan(db, "alice", { plan_id: main }).isError).toBe(true);
+
+    completePlan(db, "alice", {});
+    expect(statusOf(incident)).toBe("completed");
+
+    resumePlan(db, "alice", {});
+    expect(statusOf(main)).toBe("active");
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Plan: Main work");
+    expect(listPlans(db, "alice", { status: "paused" }).content[0].text).toContain("No plans found");
+  });
+});
+
+// ── sub-plans ───────────────────────────────────────────────────────
+
+describe("sub-plans", () => {
+  const stepsOf = (id) => getSteps(db, id);
+  const statusOf = (id) => db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status;
+
+  it("expands a step without superseding the parent and shows nested progress", () => {
+    const parent = quickPlan("alice", { title: "Release", steps: ["Migrate database", "Deploy"] });
+    const child = quickPlan("alice", {
+      title: "Migrate database",
+      steps: ["Dump", "Transform", "Load"],
+      parent_plan_id: parent,
+      parent_step_id: 1,
+    });
+    expect(statusOf(parent)).toBe("active");
+
+    const text = getPlan(db, "alice", { plan_id: parent }).content[0].text;
+    expect(text).toContain(`↳ Sub-plan [${child}] Migrate database [active] (0/3)`);
+    expect(getPlan(db, "alice", {}).content[0].text).toContain(`Sub-plan of ${parent} step 1`);
+
+    const list = listPlans(db, "alice", {}).content[0].text;
+    expect(list).toContain("[0/1 sub-plans]");
+    expect(list).toContain(`(sub-plan of ${parent} step 1)`);
+  });
+
+  it("marks the parent step done when the sub-plan completes, cascading upward", () => {
+    const parent = quickPlan("alice", { title: "Release", steps: ["Migrate database"] });
+    const child = quickPlan("alice", { title: "Migrate", steps: ["Dump"], parent_plan_id: parent, parent_step_id: 1 });
+
+    const blocked = updateStep(db, "alice", { step_id: 1, status: "done", plan_id: parent });
+    expect(blocked.isError).toBe(true);
+    expect(blocked.content[0].text).toContain("open sub-plan");
+
+    const result = updateStep(db, "alice", { step_id: 1, status: "done", plan_id: child });
+    expect(result.content[0].text).toContain(`Parent plan "Release": step 1 → done`);
+    expect(stepsOf(parent)[0].notes).toContain(`Sub-plan ${child} completed`);
+    expect(statusOf(parent)).toBe("completed");
+  });
+
+  it("blocks the parent step when the sub-plan is abandoned", () => {
+    const parent = quickPlan("alice", { title: "Release", steps: ["Migrate database", "Deploy"] });
+    const child = quickPlan("alice", { title: "Migrate", steps: ["Dump"], parent_plan_id: parent, parent_step_id: 1 });
+
+    abandonPlan(db, "alice", { plan_id: child, reason: "Vendor tool broken" });
+    expect(stepsOf(parent)[0].status).toBe("blocked");
+    expect(stepsOf(parent)[0].blocked_reason).toBe(`Sub-plan ${child} abandoned`);
+    expect(statusOf(parent)).toBe("active");
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Plan: Release");
+  });
+
+  it("validates the parent reference", () => {
+    const parent = quickPlan("alice", { steps: ["A"] });
+    const base = { title: "Sub", steps: ["x"] };
+    expect(createPlan(db, "alice", { ...base, parent_plan_id: parent }).isError).toBe(true);
+    expect(createPlan(db, "alice", { ...base, parent_plan_id: parent, parent_step_id: 9 }).isError).toBe(true);
+    expect(createPlan(db, "alice", { ...base, parent_plan_id: "nope", parent_step_id: 1 }).isError).toBe(true);
+
+    quickPlan("alice", { ...base, parent_plan_id: parent, parent_step_id: 1 });
+    const dup = createPlan(db, "alice", { ...base, parent_plan_id: parent, parent_step_id: 1 });
+    expect(dup.content[0].text).toContain("already has an open sub-plan");
+  });
+});
+
+// ── step storage ────────────────────────────────────────────────────
+
+describe("plan_steps storage", () => {
+  it("stamps started_at, completed_at and blocked_reason", () => {
+    const id = quickPlan("alice", { steps: ["A", "B"] });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    updateStep(db, "alice", { step_id: 2, status: "blocked", notes: "Waiting on review" });
+
+    let [a, b] = getSteps(db, id);
+    expect(a.started_at).toBeTruthy();
+    expect(a.completed_at).toBeNull();
+    expect(b.blocked_reason).toBe("Waiting on review");
+
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    updateStep(db, "alice", { step_id: 2, status: "in_progress", blocked_reason: "ignored" });
+    [a, b] = getSteps(db, id);
+    expect(a.completed_at).toBeTruthy();
+    expect(b.blocked_reason).toBeNull();
+  });
+
+  it("records every status change in plan_step_history", () => {
+    const id = quickPlan("alice", { steps: ["A"] });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress", notes: "still going" });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+
+    const history = db.prepare(
+      "SELECT from_status, to_status, changed_by FROM plan_step_history WHERE plan_id = ? ORDER BY id"
+    ).all(id);
+    expect(history).toEqual([
+      { from_status: null, to_status: "pending", changed_by: "alice" },
+      { from_status: "pending", to_status: "in_progress", changed_by: "alice" },
+      { from_status: "in_progress", to_status: "done", changed_by: "alice" },
+    ]);
+  });
+
+  it("supports queries across plans", () => {
+    quickPlan("alice", { steps: ["A"], concurrent: true });
+    const id2 = quickPlan("alice", { steps: ["B", "C"], concurrent: true });
+    updateStep(db, "alice", { step_id: 2, status: "blocked", notes: "No access", plan_id: id2 });
+
+    const blocked = db.prepare("SELECT plan_id, step_id, blocked_reason FROM plan_steps WHERE status = 'blocked'").all();
+    expect(blocked).toEqual([{ plan_id: id2, step_id: 2, blocked_reason: "No access" }]);
+  });
+
+  it("migrates legacy JSON steps on initSchema", () => {
+    const legacy = [
+      { id: 1, description: "Old A", status: "done", notes: "", completed_at: "2025-01-01T00:00:00.000Z" },
+      { id: 3, description: "Old B", status: "blocked", notes: "Stuck", depends_on: [1] },
+    ];
+    const ts = "2025-01-01T00:00:00.000Z";
+    const insert = db.prepare(
+      `INSERT INTO plans (id, agent_name, title, steps, status, progress, created_at, updated_at)
+       VALUES (?, 'alice', ?, ?, 'active', '1/2', ?, ?)`
+    );
+    insert.run("legacy1", "Legacy", JSON.stringify(legacy), ts, ts);
+    insert.run("broken1", "Broken", "{not json", ts, ts);
+
+    initSchema(db);
+
+    const steps = getSteps(db, "legacy1");
+    expect(steps.map((s) => s.id)).toEqual([1, 3]);
+    expect(steps[0].completed_at).toBe(ts);
+    expect(steps[1].depends_on).toEqual([1]);
+    expect(steps[1].blocked_reason).toBe("Stuck");
+    expect(db.prepare("SELECT steps FROM plans WHERE id = 'legacy1'").get().steps).toBe("[]");
+    expect(db.prepare("SELECT steps FROM plans WHERE id = 'broken1'").get().steps).toBe("{not json");
+
+    // Tool output reads from the migrated rows
+    expect(getPlan(db, "alice", { plan_id: "legacy1" }).content[0].text).toContain("Old B");
+    initSchema(db);
+    expect(getSteps(db, "legacy1")).toHaveLength(2);
+  });
+});
+
+// ── templates ───────────────────────────────────────────────────────
+
+describe("plan templates", () => {
+  const releaseSteps = [
+    "Bump {{package}} to {{version}}",
+    { description: "Run {{package}} tests", depends_on: [1] },
+    { description: "Publish {{package}}@{{version}}", depends_on: [2] },
+  ];
+
+  it("saves a template and instantiates it with variables", () => {
+    const saved = savePlanTemplate(db, "alice", { name: "release", title: "Release {{package}} {{version}}", steps: releaseSteps });
+    expect(saved.content[0].text).toContain("Variables: package, version");
+
+    const result = createPlanFromTemplate(db, "bob", { template: "release", variables: { package: "auth", version: "1.2.0" } });
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toContain("Plan: Release auth 1.2.0");
+
+    const plan = db.prepare("SELECT * FROM plans WHERE agent_name = 'bob'").get();
+    const steps = getSteps(db, plan.id);
+    expect(steps.map((s) => s.description)).toEqual(["Bump auth to 1.2.0", "Run auth tests", "Publish auth@1.2.0"]);
+    expect(steps[2].depends_on).toEqual([2]);
+  });
+
+  it("rejects missing variables and warns about unused ones", () => {
+    savePlanTemplate(db, "alice", { name: "release", title: "Release {{package}}", steps: releaseSteps });
+
+    const missing = createPlanFromTemplate(db, "alice", { template: "release", variables: { package: "auth" } });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain("version");
+
+    const extra = createPlanFromTemplate(db, "alice", { template: "release", variables: { package: "a", version: "1", owner: "x" } });
+    expect(extra.content[0].text).toContain("unused variable(s) owner");
+  });
+
+  it("copies an existing plan, dropping the abandonment note", () => {
+    const id = quickPlan("alice", { title: "Onboard billing", steps: ["Create repo", { description: "Add CI", depends_on: [1] }] });
+    abandonPlan(db, "alice", { reason: "Paused by product" });
+
+    savePlanTemplate(db, "alice", { name: "onboard", plan_id: id });
+    const tpl = db.prepare("SELECT * FROM plan_templates WHERE name = 'onboard'").get();
+    expect(tpl.title).toBe("Onboard billing");
+    expect(JSON.parse(tpl.steps)).toEqual([
+      { description: "Create repo", depends_on: [] },
+      { description: "Add CI", depends_on: [1] },
+    ]);
+  });
+
+  it("requires overwrite to replace a template and validates input", () => {
+    savePlanTemplate(db, "alice", { name: "t", title: "T", steps: ["A"] });
+    expect(savePlanTemplate(db, "alice", { name: "t", title: "T2", steps: ["B"] }).isError).toBe(true);
+    expect(savePlanTemplate(db, "alice", { name: "t", title: "T2", steps: ["B"], overwrite: true }).content[0].text).toContain("updated");
+    const foreign = savePlanTemplate(db, "bob", { name: "t", title: "T3", steps: ["C"], overwrite: true });
+    expect(foreign.isError).toBe(true);
+    expect(foreign.content[0].text).toContain("created by alice");
+    expect(savePlanTemplate(db, "boss", { name: "t", title: "T3", steps: ["C"], overwrite: true, admin: true }).content[0].text).toContain("updated");
+    expect(savePlanTemplate(db, "alice", { name: "u", steps: ["A"] }).isError).toBe(true);
+    expect(savePlanTemplate(db, "alice", { name: "u", title: "U" }).isError).toBe(true);
+    expect(savePlanTemplate(db, "alice", {
+      name: "u", title: "U", steps: [{ description: "A", depends_on: [2] }, { description: "B", depends_on: [1] }],
+    }).isError).toBe(true);
+    expect(createPlanFromTemplate(db, "alice", { template: "nope" }).isError).toBe(true);
+  });
+
+  it("lists templates with their variables", () => {
+    savePlanTemplate(db, "alice", { name: "release", title: "Release {{package}}", steps: ["Tag {{version}}"], description: "Package releases" });
+    savePlanTemplate(db, "bob", { name: "onboard", title: "Onboard", steps: ["Create repo"] });
+
+    const all = listPlanTemplates(db, "alice", {}).content[0].text;
+    expect(all).toContain("onboard — Onboard (1 steps) by bob");
+    expect(all).toContain("variables: package, version");
+    expect(listPlanTemplates(db, "alice", { query: "Package" }).content[0].text).not.toContain("onboard");
+  });
+
+  it("leaves unknown placeholders untouched", () => {
+    expect(fillTemplate("{{ a }} and {{b}}", { a: "x" })).toBe("x and {{b}}");
+  });
+});
+
+// ── analytics ───────────────────────────────────────────────────────
+
+describe("estimates and plan_stats", () => {
+  // Pin a step's timing so durations are deterministic
+  const setTiming = (planId, stepId, startedAt, completedAt) => db.prepare(
+    "UPDATE plan_steps SET started_at = ?, completed_at = ? WHERE plan_id = ? AND step_id = ?"
+  ).run(startedAt, completedAt, planId, stepId);
+
+  it("stores estimates from create_plan, add_step and edit_step and shows them", () => {
+    const id = quickPlan("alice", { steps: [{ description: "A", estimate_minutes: 30 }, "B"] });
+    addStep(db, "alice", { description: "C", estimate_minutes: 90 });
+    editStep(db, "alice", { step_id: 2, estimate_minutes: 15 });
+
+    expect(getSteps(db, id).map((s) => s.estimate_minutes)).toEqual([30, 15, 90]);
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Step 3: C [pending] ~1h 30m");
+
+    editStep(db, "alice", { step_id: 2, estimate_minutes: null });
+    expect(getSteps(db, id)[1].estimate_minutes).toBeNull();
+  });
+
+  it("times steps from first start to done", () => {
+    const id = quickPlan("alice", { steps: [{ description: "A", estimate_minutes: 30 }, "B"] });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    setTiming(id, 1, "2026-01-05T10:00:00.000Z", "2026-01-05T10:45:00.000Z");
+
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Step 1: A [done] ~30m (took 45m)");
+  });
+
+  it("reports estimate accuracy, step time, blocked time and abandonment", () => {
+    const a = quickPlan("alice", { steps: [{ description: "A", estimate_minutes: 30 }, { description: "B", estimate_minutes: 60 }] });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    updateStep(db, "alice", { step_id: 2, status: "blocked", notes: "Waiting" });
+    updateStep(db, "alice", { step_id: 2, status: "done" });
+    setTiming(a, 1, "2026-01-05T10:00:00.000Z", "2026-01-05T10:30:00.000Z");
+    setTiming(a, 2, "2026-01-05T11:00:00.000Z", "2026-01-05T13:00:00.000Z");
+    db.prepare("UPDATE plan_step_history SET changed_at = ? WHERE plan_id = ? AND step_id = 2 AND to_status = 'blocked'")
+      .run("2026-01-05T11:00:00.000Z", a);
+    db.prepare("UPDATE plan_step_history SET changed_at = ? WHERE plan_id = ? AND step_id = 2 AND to_status = 'done'")
+      .run("2026-01-05T11:20:00.000Z", a);
+
+    const b = quickPlan("bob", { title: "Dead end" });
+    abandonPlan(db, "bob", { reason: "No longer needed" });
+    sharePlan(db, "bob", { plan_id: b, agent_name: "alice", access: "read" });
+
+    const text = planStats(db, "alice", {}).content[0].text;
+    expect(text).toContain("Overall: 2 plans, 1 completed, 1 abandoned (50%)");
+    expect(text).toContain("alice: 1 plans, 1 completed, 0 abandoned (0%) | avg 1h 15m/step over 2 timed");
+    expect(text).toContain("est 1h 30m vs actual 2h 30m (1.67x, 50% within ±25%)");
+    expect(text).toContain("blocked 20m across 1 step(s)");
+    expect(text).toContain("bob: 1 plans, 0 completed, 1 abandoned (100%) | no timed steps");
+  });
+
+  it("filters by date range, agent and plan", () => {
+    const old = quickPlan("alice", { title: "Old" });
+    db.prepare("UPDATE plans SET created_at = '2025-06-01T09:00:00.000Z' WHERE id = ?").run(old);
+    const fresh = quickPlan("bob", { title: "New" });
+    quickPlan("carol", { title: "Private" });
+    sharePlan(db, "bob", { plan_id: fresh, agent_name: "alice", access: "read" });
+
+    expect(planStats(db, "alice", {}).content[0].text).not.toContain("Private");
+    expect(planStats(db, "alice", { until: "2025-06-01" }).content[0].text).toContain("[" + old + "] Old");
+    expect(planStats(db, "alice", { since: "2025-06-02" }).content[0].text).not.toContain("Old");
+    expect(planStats(db, "alice", { agent: "bob" }).content[0].text).toContain("Overall: 1 plans");
+    expect(planStats(db, "alice", { plan_id: "nope" }).content[0].text).toBe("No plans found in that range.");
+    expect(planStats(db, "alice", { since: "not a date" }).isError).toBe(true);
+  });
+});
+
+// ── taskboard bridge ────────────────────────────────────────────────
+
+describe("taskboard bridge", () => {
+  let tb;
+
+  beforeEach(() => {
+    tb = new Database(":memory:");
+    initTaskboardSchema(tb);
+    assignPipelineToProject(tb, "alice", { project: "ops", pipeline: "ops" });
+  });
+
+  afterEach(() => {
+    tb.close();
+  });
+
+  const newTask = (params) => createTask(tb, "alice", params).content[0].text.match(/Task created: (\S+)/)[1];
+  const taskStatus = (id) => tb.prepare("SELECT status FROM tasks WHERE id = ?").get(id).status;
+
+  it("creates a linked task from a step", () => {
+    const id = quickPlan("alice", { title: "Auth" });
+    const result = createTaskFromStep(db, "alice", { step_id: 2, project: "ops-auth", taskboardDb: tb });
+    expect(result.content[0].text).toContain("Linked to step 2");
+
+    const taskId = getSteps(db, id)[1].task_ref;
+    const task = tb.prepare("SELECT * FROM tasks WHERE id = ?").get(taskId);
+    expect(task.title).toBe("Step two");
+    expect(task.description).toContain(`(${id}), step 2`);
+    expect(getPlan(db, "alice", {}).content[0].text).toContain(`Step 2: Step two [pending] [task ${taskId}]`);
+
+    const again = createTaskFromStep(db, "alice", { step_id: 2, project: "ops-auth", taskboardDb: tb });
+    expect(again.isError).toBe(true);
+    expect(createTaskFromStep(db, "alice", { step_id: 1, taskboardDb: tb }).isError).toBe(true);
+    expect(createTaskFromStep(db, "alice", { step_id: 1, project: "x" }).isError).toBe(true);
+  });
+
+  it("moves the linked task to done when the step is done", () => {
+    quickPlan("alice", { steps: ["Write middleware", "Deploy"] });
+    const taskId = newTask({ project: "ops", title: "Middleware", status: "in_progress" });
+    editStep(db, "alice", { step_id: 1, task_ref: taskId, taskboardDb: tb });
+
+    const result = updateStep(db, "alice", { step_id: 1, status: "done", taskboardDb: tb });
+    expect(result.content[0].text).toContain(`Linked task ${taskId}: in_progress → done`);
+    expect(taskStatus(taskId)).toBe("done");
+  });
+
+  it("warns when the task's pipeline does not allow done yet", () => {
+    quickPlan("alice", { steps: ["Write middleware", "Deploy"] });
+    const taskId = newTask({ project: "ops", title: "Middleware" });
+    editStep(db, "alice", { step_id: 1, task_ref: taskId, taskboardDb: tb });
+
+    const result = updateStep(db, "alice", { step_id: 1, status: "done", taskboardDb: tb });
+    expect(result.content[0].text).toContain(`Warning: linked task ${taskId} is still todo — the taskboard rejected the move to done:`);
+    expect(taskStatus(taskId)).toBe("todo");
+  });
+
+  it("counts done steps whose tasks the pipeline keeps open when syncing", () => {
+    quickPlan("alice", { steps: ["Write middleware", "Deploy"] });
+    const taskId = newTask({ project: "ops", title: "Middleware" });
+    editStep(db, "alice", { step_id: 1, task_ref: taskId, taskboardDb: tb });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+
+    let text = syncStepTasks(db, "alice", { taskboardDb: tb }).content[0].text;
+    expect(text).toContain(`Step 1: Warning: linked task ${taskId} is still todo`);
+    expect(text).toContain("1 linked task(s) could not be moved to done");
+    expect(taskStatus(taskId)).toBe("todo");
+
+    updateTask(tb, "bob", { task_id: taskId, status: "in_progress" });
+    text = syncStepTasks(db, "alice", { taskboardDb: tb }).content[0].text;
+    expect(text).toContain(`Step 1: Linked task ${taskId}: in_progress → done`);
+    expect(text).not.toContain("could not be moved");
+  });
+
+  it("rejects linking to unknown tasks", () => {
+    quickPlan("alice");
+    expect(editStep(db, "alice", { step_id: 1, task_ref: "missing", taskboardDb: tb }).isError).toBe(true);
+  });
+
+  it("syncs tasks finished on the taskboard back to their steps", () => {
+    const id = quickPlan("alice", { steps: ["A", "B"] });
+    const a = newTask({ project: "ops", title: "A", status: "in_progress" });
+    const b = newTask({ project: "ops", title: "B", status: "in_progress" });
+    editStep(db, "alice", { step_id: 1, task_ref: a, taskboardDb: tb });
+    editStep(db, "alice", { step_id: 2, task_ref: b, taskboardDb: tb });
+
+    updateTask(tb, "bob", { task_id: a, status: "done" });
+    let text = syncStepTasks(db, "alice", { taskboardDb: tb }).content[0].text;
+    expect(text).toContain(`Step 1: pending → done (task ${a} is done)`);
+    expect(text).toContain(`Step 2 [pending] ↔ task ${b} [in_progress]`);
+    expect(getSteps(db, id)[0].status).toBe("done");
+
+    updateTask(tb, "bob", { task_id: b, status: "done" });
+    text = syncStepTasks(db, "alice", { taskboardDb: tb }).content[0].text;
+    expect(text).toContain("All steps complete!");
+    expect(db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status).toBe("completed");
+  });
+
+  it("creates a plan from a task's subtasks", () => {
+    const parent = newTask({ project: "ops", title: "Onboard billing service" });
+    const s1 = newTask({ parent_task_id: parent, title: "Create repo", status: "done" });
+    const s2 = newTask({ parent_task_id: parent, title: "Add CI", status: "in_progress" });
+    const s3 = newTask({ parent_task_id: parent, title: "Deploy" });
+    addDependency(tb, "alice", { task_id: s3, depends_on_id: s2 });
+
+    const result = createPlanFromTask(db, "alice", { task_id: parent, taskboardDb: tb });
+    expect(result.content[0].text).toContain("(3 subtasks linked)");
+    expect(result.content[0].text).toContain("Plan: Onboard billing service [active] (1/3)");
+
+    const plan = db.prepare("SELECT * FROM plans WHERE agent_name = 'alice'").get();
+    const steps = getSteps(db, plan.id);
+    expect(steps.map((s) => [s.task_ref, s.status])).toEqual([[s1, "done"], [s2, "in_progress"], [s3, "pending"]]);
+    expect(steps[2].depends_on).toEqual([2]);
+
+    expect(createPlanFromTask(db, "alice", { task_id: s3, taskboardDb: tb }).isError).toBe(true);
+    expect(createPlanFromTask(db, "alice", { task_id: parent }).isError).toBe(true);
+  });
+});
+
+// ── progress log ────────────────────────────────────────────────────
+
+describe("step progress log and checkpoints", () => {
+  it("appends entries instead of overwriting", () => {
+    quickPlan("alice");
+    logStepProgress(db, "alice", { step_id: 1, message: "Migrated users table" });
+    const second = logStepProgress(db, "alice", { step_id: 1, message: "Migrated orders table" });
+    expect(second.content[0].text).toContain("(2 entries)");
+
+    const log = getStepLog(db, "alice", { step_id: 1 }).content[0].text;
+    expect(log.indexOf("Migrated users table")).toBeLessThan(log.indexOf("Migrated orders table"));
+    expect(getStepLog(db, "alice", { step_id: 1, limit: 1 }).content[0].text).not.toContain("users table");
+    expect(getStepLog(db, "alice", { step_id: 2 }).content[0].text).toBe("No progress logged for step 2.");
+  });
+
+  it("surfaces the latest progress and checkpoint in get_plan", () => {
+    quickPlan("alice");
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    logStepProgress(db, "alice", { step_id: 1, message: "Halfway", checkpoint: { table: "orders", offset: 1200 } });
+    logStepProgress(db, "alice", { step_id: 1, message: "Paused for lunch" });
+
+    const text = getPlan(db, "alice", {}).content[0].text;
+    expect(text).toContain("Resume from here:");
+    expect(text).toMatch(/Last progress \(.+, alice\): Paused for lunch/);
+    expect(text).toContain('Checkpoint (');
+    expect(text).toContain('{"table":"orders","offset":1200}');
+
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    expect(getPlan(db, "alice", {}).content[0].text).not.toContain("Resume from here");
+  });
+
+  it("validates the step, plan state and checkpoint size", () => {
+    const id = quickPlan("alice");
+    expect(logStepProgress(db, "alice", { step_id: 9, message: "x" }).isError).toBe(true);
+    expect(logStepProgress(db, "alice", { step_id: 1, message: "x", checkpoint: "y".repeat(10001) }).isError).toBe(true);
+
+    completePlan(db, "alice", {});
+    const closed = logStepProgress(db, "alice", { step_id: 1, message: "x", plan_id: id });
+    expect(closed.content[0].text).toContain("only be logged on active or paused plans");
+  });
+});
+
+// ── reopen ──────────────────────────────────────────────────────────
+
+describe("reopen_plan", () => {
+  const statusOf = (id) => db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status;
+  const historyOf = (id) => db.prepare("SELECT from_status, to_status, note FROM plan_history WHERE plan_id = ? ORDER BY id").all(id);
+
+  it("reopens an abandoned plan and removes the [ABANDONED] step", () => {
+    const id = quickPlan("alice", { steps: ["A", "B"] });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    abandonPlan(db, "alice", { reason: "Wrong approach" });
+    expect(getSteps(db, id)).toHaveLength(3);
+
+    const result = reopenPlan(db, "alice", { plan_id: id, reason: "It was the right approach" });
+    expect(result.content[0].text).toContain("reopened (was abandoned)");
+    expect(result.content[0].text).toContain("Removed the [ABANDONED] step.");
+    expect(statusOf(id)).toBe("active");
+    expect(getSteps(db, id).map((s) => s.description)).toEqual(["A", "B"]);
+    expect(db.prepare("SELECT progress FROM plans WHERE id = ?").get(id).progress).toBe("1/2");
+
+    expect(historyOf(id)).toEqual([
+      { from_status: null, to_status: "active", note: null },
+      { from_status: "active", to_status: "abandoned", note: "Wrong approach" },
+      { from_status: "abandoned", to_status: "active", note: "Reopened: It was the right approach" },
+    ]);
+  });
+
+  it("reverts an auto-completion and reopens chosen steps", () => {
+    const id = quickPlan("alice", { steps: ["A", "B"] });
+    updateStep(db, "alice", { step_id: 1, status: "done" });
+    updateStep(db, "alice", { step_id: 2, status: "done" });
+    expect(statusOf(id)).toBe("completed");
+
+    const result = reopenPlan(db, "alice", { plan_id: id, reopen_steps: [2] });
+    expect(result.content[0].text).toContain("Step(s) 2 back to pending.");
+    expect(statusOf(id)).toBe("active");
+    expect(db.prepare("SELECT completed_at, progress FROM plans WHERE id = ?").get(id)).toEqual({ completed_at: null, progress: "1/2" });
+    expect(getSteps(db, id)[1]).toMatchObject({ status: "pending", completed_at: null });
+    expect(historyOf(id).map((h) => h.to_status)).toEqual(["active", "completed", "active"]);
+  });
+
+  it("supersedes the current active plan unless concurrent", () => {
+    const old = quickPlan("alice", { title: "Old" });
+    completePlan(db, "alice", {});
+    const current = quickPlan("alice", { title: "Current" });
+
+    reopenPlan(db, "alice", { plan_id: old, concurrent: true });
+    expect(statusOf(current)).toBe("active");
+    expect(getPlan(db, "alice", {}).content[0].text).toContain("Plan: Old");
+
+    completePlan(db, "alice", { plan_id: old });
+    reopenPlan(db, "alice", { plan_id: old });
+    expect(statusOf(current)).toBe("superseded");
+    expect(historyOf(current).at(-1).note).toBe(`Superseded by ${old}`);
+  });
+
+  it("leaves the owner's active plans alone when a write-shared agent reopens", () => {
+    const old = quickPlan("alice", { title: "Old" });
+    completePlan(db, "alice", {});
+    const current = quickPlan("alice", { title: "Current" });
+    sharePlan(db, "alice", { plan_id: old, agent_name: "bob", access: "write" });
+
+    expect(reopenPlan(db, "bob", { plan_id: old }).isError).toBeUndefined();
+    expect(statusOf(old)).toBe("active");
+    expect(statusOf(current)).toBe("active");
+  });
+
+  it("puts the parent step back in progress when a sub-plan is reopened", () => {
+    const parent = quickPlan("alice", { title: "Release", steps: ["Migrate", "Deploy"] });
+    const child = quickPlan("alice", { title: "Migrate", steps: ["Dump"], parent_plan_id: parent, parent_step_id: 1 });
+    updateStep(db, "alice", { step_id: 1, status: "done", plan_id: child });
+    expect(getSteps(db, parent)[0].status).toBe("done");
+
+    const result = reopenPlan(db, "alice", { plan_id: child, reopen_steps: [1] });
+    expect(result.content[0].text).toContain(`Parent plan "Release": step 1 → in_progress (0/2)`);
+    expect(getSteps(db, parent)[0].status).toBe("in_progress");
+    expect(statusOf(parent)).toBe("active");
+  });
+
+  it("only reopens the caller's finished plans", () => {
+    const id = quickPlan("alice");
+    expect(reopenPlan(db, "alice", { plan_id: id }).isError).toBe(true);
+    completePlan(db, "alice", {});
+    expect(reopenPlan(db, "bob", { plan_id: id }).isError).toBe(true);
+    expect(reopenPlan(db, "alice", { plan_id: id, reopen_steps: [9] }).isError).toBe(true);
+    expect(statusOf(id)).toBe("completed");
+  });
+});
+
+// ── sharing ─────────────────────────────────────────────────────────
+
+describe("plan ownership and share_plan", () => {
+  it("hides other agents' plans from plan_id-addressed tools", () => {
+    const id = quickPlan("alice");
+
+    expect(getPlan(db, "bob", { plan_id: id }).content[0].text).toBe("No active plan found.");
+    // Treated as missing, so the caller learns nothing about the plan
+    for (const result of [
+      nextSteps(db, "bob", { plan_id: id }),
+      updateStep(db, "bob", { step_id: 1, status: "done", plan_id: id }),
+      addStep(db, "bob", { description: "Sneaky", plan_id: id }),
+      completePlan(db, "bob", { plan_id: id }),
+      abandonPlan(db, "bob", { reason: "x", plan_id: id }),
+      logStepProgress(db, "bob", { step_id: 1, message: "x", plan_id: id }),
+    ]) {
+      expect(result.content[0].text).toContain("No active plan found");
+    }
+    expect(db.prepare("SELECT status FROM plans WHERE id = ?").get(id).status).toBe("active");
+    expect(getSteps(db, id).map((s) => s.status)).toEqual(["pending", "pending", "pending"]);
+  });
+
+  it("lets read grants view but not change a plan", () => {
+    const id = quickPlan("alice");
+    const shared = sharePlan(db, "alice", { plan_id: id, agent_name: "bob", access: "read" });
+    expect(shared.content[0].text).toContain("shared with bob: read");
+
+    expect(getPlan(db, "bob", { plan_id: id }).content[0].text).toContain("Owner: alice (shared with you: read)");
+    expect(getPlan(db, "alice", { plan_id: id }).content[0].text).toContain("Shared with: bob (read)");
+    expect(getStepLog(db, "bob", { step_id: 1, plan_id: id }).isError).toBeFalsy();
+
+    const denied = updateStep(db, "bob", { step_id: 1, status: "done", plan_id: id });
+    expect(denied.isError).toBe(true);
+    expect(denied.content[0].text).toContain("belongs to alice and is shared with you read-only");
+    expect(focusPlan(db, "bob", { plan_id: id }).isError).toBe(true);
+  });
+
+  it("lets write grants update, edit and focus a plan", () => {
+    const id = quickPlan("alice");
+    sharePlan(db, "alice", { plan_id: id, agent_name: "bob", access: "read" });
+    const upgraded = sharePlan(db, "alice", { plan_id: id, agent_name: "bob", access: "write" });
+    expect(upgraded.content[0].text).toContain("write (was read)");
+
+    updateStep(db, "bob", { step_id: 1, status: "done", plan_id: id });
+    focusPlan(db, "bob", { plan_id: id });
+    addStep(db, "bob", { description: "Review" });
+    expect(getSteps(db, id).map((s) => s.description)).toContain("Review");
+    expect(db.prepare("SELECT changed_by FROM plan_step_history WHERE plan_id = ? AND step_id = 1 AND to_status = 'done'").get(id).changed_by).toBe("bob");
+
+    // Only the owner manages grants
+    expect(sharePlan(db, "bob", { plan_id: id, agent_name: "carol", access: "read" }).content[0].text).toContain("Only alice (the owner)");
+    expect(sharePlan(db, "alice", { plan_id: id, agent_name: "alice", access: "read" }).isError).toBe(true);
+  });
+
+  it("revokes access and drops a stale focus", () => {
+    const id = quickPlan("alice");
+    sharePlan(db, "alice", { plan_id: id, agent_name: "bob", access: "write" });
+    focusPlan(db, "bob", { plan_id: id });
+    expect(getPlan(db, "bob", {}).content[0].text).toContain("Plan: Test Plan");
+
+    expect(unsharePlan(db, "alice", { plan_id: id, agent_name: "bob" }).content[0].text).toContain("no longer shared with bob");
+    expect(getPlan(db, "bob", { plan_id: id }).content[0].text).toBe("No active plan found.");
+    expect(getPlan(db, "bob", {}).content[0].text).toContain("No active plan");
+    expect(unsharePlan(db, "alice", { plan_id: id, agent_name: "bob" }).isError).toBe(true);
+  });
+
+  it("lists shared plans only when asked", () => {
+    quickPlan("alice", { title: "Mine" });
+    const theirs = quickPlan("bob", { title: "Theirs" });
+    sharePlan(db, "bob", { plan_id: theirs, agent_name: "alice", access: "read" });
+
+    expect(listPlans(db, "alice", {}).content[0].text).not.toContain("Theirs");
+    const text = listPlans(db, "alice", { include_shared: true }).content[0].text;
+    expect(text).toContain("Mine");
+    expect(text).toContain("Theirs");
+    expect(text).toContain("(owner bob, read)");
+  });
+});
+
+// ── team overview ───────────────────────────────────────────────────
+
+describe("team_plans", () => {
+  const age = (id, minutes) => db.prepare("UPDATE plans SET updated_at = ? WHERE id = ?")
+    .run(new Date(Date.now() - minutes * 60000).toISOString(), id);
+
+  it("shows every agent's open plans to the admin with current and blocked steps", () => {
+    const a = quickPlan("alice", { title: "Release" });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    const b = quickPlan("bob", { title: "Migrate" });
+    updateStep(db, "bob", { step_id: 2, status: "blocked", blocked_reason: "Waiting on DBA" });
+    age(b, 300);
+    quickPlan("carol", { title: "Done already", steps: ["Only"] });
+    updateStep(db, "carol", { step_id: 1, status: "done" });
+
+    const text = teamPlans(db, "boss", { admin: true }).content[0].text;
+    expect(text).toContain("Team plans: 2 open across 2 agent(s) (all agents) | 1 stalled (no update for 2h+)");
+    expect(text).toContain(`alice:\n  ▸ [${a}] Release (0/3) [active] ← focus — updated 0m ago\n      ▸ Step 1: Step one [in_progress] (started 0m ago)`);
+    expect(text).toContain(`[${b}] Migrate (0/3) [active] ← focus — updated 5h ago ⚠ stalled`);
+    expect(text).toContain("✗ Step 2: Step two [blocked] — Waiting on DBA");
+    expect(text).not.toContain("Done already");
+  });
+
+  it("includes paused plans on request and filters by agent", () => {
+    const id = quickPlan("alice", { title: "Side quest" });
+    pausePlan(db, "alice", { plan_id: id });
+    age(id, 600);
+    quickPlan("bob", { title: "Main" });
+
+    expect(teamPlans(db, "boss", { admin: true }).content[0].text).not.toContain("Side quest");
+    const text = teamPlans(db, "boss", { admin: true, include_paused: true, agent: "alice" }).content[0].text;
+    expect(text).toContain(`‖ [${id}] Side quest (0/3) [paused] — updated 10h ago`);
+    expect(text).not.toContain("stalled");
+    expect(text).not.toContain("Main");
+    expect(teamPlans(db, "boss", { admin: true, agent: "dave" }).content[0].text).toBe("No open plans for dave.");
+  });
+
+  it("limits non-admins to their own and shared plans", () => {
+    quickPlan("alice", { title: "Alice's" });
+    const shared = quickPlan("bob", { title: "Bob's shared" });
+    quickPlan("carol", { title: "Carol's" });
+    sharePlan(db, "bob", { plan_id: shared, agent_name: "alice", access: "read" });
+
+    const text = teamPlans(db, "alice", { stalled_minutes: 60 }).content[0].text;
+    expect(text).toContain("(your own and shared plans)");
+    expect(text).toContain("Alice's");
+    expect(text).toContain("Bob's shared");
+    expect(text).not.toContain("Carol's");
+  });
+
+  it("shows non-admins the plans of agents on their team", () => {
+    quickPlan("alice", { title: "Alice's" });
+    quickPlan("bob", { title: "Bob's" });
+    quickPlan("carol", { title: "Carol's" });
+    recordAgentTeam(db, "alice", "infra");
+    recordAgentTeam(db, "bob", "infra");
+    recordAgentTeam(db, "carol", "web");
+
+    let text = teamPlans(db, "alice", { team: "infra" }).content[0].text;
+    expect(text).toContain("Team plans: 2 open across 2 agent(s) (team infra, plus your own and shared plans)");
+    expect(text).toContain("Bob's");
+    expect(text).not.toContain("Carol's");
+
+    recordAgentTeam(db, "bob", null);
+    text = teamPlans(db, "alice", { team: "infra" }).content[0].text;
+    expect(text).not.toContain("Bob's");
+
+    db.prepare("UPDATE plans SET updated_at = ?").run(new Date(Date.now() - 48 * 3600000).toISOString());
+    text = staleReport(db, "dave", { team: "web" }).content[0].text;
+    expect(text).toContain("Carol's");
+    expect(text).not.toContain("Alice's");
+  });
+});
+
+describe("stale_report", () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString();
+  const idlePlan = (id, hours) => db.prepare("UPDATE plans SET updated_at = ? WHERE id = ?").run(hoursAgo(hours), id);
+  const idleStep = (id, stepId, hours) => db.prepare(
+    "UPDATE plan_step_history SET changed_at = ? WHERE plan_id = ? AND step_id = ?"
+  ).run(hoursAgo(hours), id, stepId);
+
+  it("flags idle plans and long-running or blocked steps", () => {
+    const a = quickPlan("alice", { title: "Release" });
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    updateStep(db, "alice", { step_id: 2, status: "blocked", blocked_reason: "Waiting on legal" });
+    idlePlan(a, 30);
+    idleStep(a, 1, 30);
+    idleStep(a, 2, 50);
+    const b = quickPlan("bob", { title: "Fresh" });
+    updateStep(db, "bob", { step_id: 1, status: "in_progress" });
+
+    const text = staleReport(db, "boss", { admin: true }).content[0].text;
+    expect(text).toContain("Stale work: 1 plan(s), 2 step(s)");
+    expect(text).toContain(`Plans:\n  [${a}] Release (alice) [active] 0/3 — idle 30h`);
+    expect(text).toContain(`Steps:\n  [${a}] Release (alice) step 2: Step two [blocked] — idle 50h — Waiting on legal\n  [${a}] Release (alice) step 1: Step one [in_progress] — idle 30h`);
+    expect(text).not.toContain(b);
+  });
+
+  it("treats progress log entries as activity", () => {
+    const id = quickPlan("alice");
+    updateStep(db, "alice", { step_id: 1, status: "in_progress" });
+    idlePlan(id, 30);
+    idleStep(id, 1, 30);
+    logStepProgress(db, "alice", { step_id: 1, message: "Still going" });
+
+    expect(staleReport(db, "alice", {}).content[0].text).toContain("No stale plans or steps");
+  });
+
+  it("applies custom thresholds and scopes non-admins to visible plans", () => {
+    const mine = quickPlan("alice", { title: "Mine" });
+    pausePlan(db, "alice", { plan_id: mine });
+    idlePlan(mine, 10);
+    const hidden = quickPlan("carol", { title: "Carol's" });
+    idlePlan(hidden, 100);
+
+    expect(staleReport(db, "alice", {}).content[0].text).toContain("No stale plans or steps");
+    const text = staleReport(db, "alice", { plan_hours: { paused: 8 } }).content[0].text;
+    expect(text).toContain(`[${mine}] Mine (alice) [paused] 0/3 — idle 10h`);
+    expect(text).not.toContain("Carol's");
+    expect(staleReport(db, "boss", { admin: true, plan_hours: { active: 0 } }).content[0].text).not.toContain("Carol's");
+  });
+});
@@ -6,13 +6,103 @@ CREATE TABLE IF NOT EXISTS plans (
   id TEXT PRIMARY KEY,
   agent_name TEXT NOT NULL,
   title TEXT NOT NULL,
-  steps TEXT NOT NULL DEFAULT '[]',
-  status TEXT NOT NULL DEFAULT 'active',
+  steps TEXT NOT NULL DEFAULT '[]',        -- legacy JSON steps; migrated into plan_steps on startup
+  status TEXT NOT NULL DEFAULT 'active',    -- active | paused | completed | abandoned | superseded
   progress TEXT DEFAULT '0/0',
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL,
-  completed_at TEXT
+  completed_at TEXT,
+  parent_plan_id TEXT,                       -- set for sub-plans
+  parent_step_id INTEGER                     -- the parent step this sub-plan expands
+);
+
+-- Which active plan each agent's tools default to
+CREATE TABLE IF NOT EXISTS plan_focus (
+  agent_name TEXT PRIMARY KEY,
+  plan_id TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- One row per step; step_id is stable, position gives the display order
+CREATE TABLE IF NOT EXISTS plan_steps (
+  plan_id TEXT NOT NULL REFERENCES plans(id),
+  step_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',    -- pending | in_progress | done | blocked | skipped
+  notes TEXT NOT NULL DEFAULT '',
+  depends_on TEXT NOT NULL DEFAULT '[]',     -- JSON array of step ids
+  estimate_minutes INTEGER,                  -- optional, compared with actuals by plan_stats
+  task_ref TEXT,                             -- linked taskboard task id
+  started_at TEXT,                           -- first move to in_progress
+  completed_at TEXT,
+  blocked_reason TEXT,                       -- cleared when the step is unblocked
+  PRIMARY KEY (plan_id, step_id)
+);
+
+-- Every step status change (from_status is NULL when the step is created)
+CREATE TABLE IF NOT EXISTS plan_step_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  plan_id TEXT NOT NULL,
+  step_id INTEGER NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  changed_at TEXT NOT NULL
+);
+
+-- share_plan grants: access is 'read' or 'write' (the owner is plans.agent_name)
+CREATE TABLE IF NOT EXISTS plan_grants (
+  plan_id TEXT NOT NULL,
+  agent_name TEXT NOT NULL,
+  access TEXT NOT NULL,
+  granted_by TEXT NOT NULL,
+  granted_at TEXT NOT NULL,
+  PRIMARY KEY (plan_id, agent_name)
+);
+
+-- Every plan status change (from_status is NULL when the plan is created)
+CREATE TABLE IF NOT EXISTS plan_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  plan_id TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  changed_at TEXT NOT NULL,
+  note TEXT                                  -- reason, e.g. "Superseded by <id>" or "Reopened: ..."
+);
+
+-- Append-only per-step progress log
+CREATE TABLE IF NOT EXISTS plan_step_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  plan_id TEXT NOT NULL,
+  step_id INTEGER NOT NULL,
+  agent_name TEXT NOT NULL,
+  message TEXT NOT NULL,
+  checkpoint TEXT,                           -- JSON: where the agent left off (shown by get_plan)
+  created_at TEXT NOT NULL
+);
+
+-- Reusable plans; title and step descriptions may contain {{variable}} placeholders
+CREATE TABLE IF NOT EXISTS plan_templates (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  description TEXT,
+  steps TEXT NOT NULL DEFAULT '[]',         -- JSON: [{ description, depends_on: [positions], estimate_minutes? }]
+  variables TEXT NOT NULL DEFAULT '[]',     -- JSON: variable names used in title and steps
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
 );
 
 CREATE INDEX IF NOT EXISTS idx_plans_agent ON plans(agent_name);
 CREATE INDEX IF NOT EXISTS idx_plans_status ON plans(agent_name, status);
+CREATE INDEX IF NOT EXISTS idx_plans_parent ON plans(parent_plan_id);
+CREATE INDEX IF NOT EXISTS idx_plan_steps_status ON plan_steps(status);
+CREATE INDEX IF NOT EXISTS idx_plan_steps_task ON plan_steps(task_ref);
+CREATE INDEX IF NOT EXISTS idx_step_history_step ON plan_step_history(plan_id, step_id);
+CREATE INDEX IF NOT EXISTS idx_step_history_time ON plan_step_history(changed_at);
+CREATE INDEX IF NOT EXISTS idx_step_log_step ON plan_step_log(plan_id, step_id);
+CREATE INDEX IF NOT EXISTS idx_plan_history_plan ON plan_history(plan_id);
+CREATE INDEX IF NOT EXISTS idx_plan_grants_agent ON plan_grants(agent_name);
@@ -2,7 +2,8 @@
  * Taskboard handler functions — pure logic extracted for testability.
  * Each handler accepts (db, agentName, params) and returns MCP-compatible results.
  */
-import { uuid8, now } from "../../shared/db.js";
+import { uuid8, now, ensureColumn } from "../../shared/db.js";
+import { safeJsonParse } from "../../shared/query.js";
 
 // ── Schema ───────────────────────────────────────────────────────────
 
@@ -90,11 +91,31 @@ export function initSchema(db) {
       created_at TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS pipelines (
+      name TEXT PRIMARY KEY,
+      statuses TEXT NOT NULL DEFAULT '[]',
+      transitions TEXT NOT NULL DEFAULT '{}',
+      guards TEXT NOT NULL DEFAULT '{}',
+      default_status TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS project_pipelines (
+      project TEXT PRIMARY KEY,
+      pipeline TEXT NOT NULL,
+      assigned_by TEXT,
+      assigned_at TEXT NOT NULL
+    );
+
     CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project);
     CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
     CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id);
   `);
 
+  ensureColumn(db, "pipelines", "guards", "TEXT NOT NULL DEFAULT '{}'");
+
   // FTS5 virtual table — may fail on SQLite builds without FTS5 extension
   try {
     db.exec(`
@@ -148,25 +169,219 @@ export const OPS_TRANSITIONS = {
 
 export const VALID_STATUSES = [...new Set([...FORGE_STATUSES, ...OPS_STATUSES])];
 
-export function getTransitions(project) {
+// Guards keyed by target status ("in_review") apply to every move into it;
+// keys of the form "from->to" apply to that single transition.
+export const FORGE_GUARDS = {
+  designed: ["design_file"],
+  in_review: ["pr_url"],
+  "acceptance->done": ["criteria_checked", "review_approved"],
+};
+
+export const BUILTIN_PIPELINES = {
+  forge: { name: "forge", builtin: true, statuses: FORGE_STATUSES, transitions: FORGE_TRANSITIONS, guards: FORGE_GUARDS, default_status: "backlog" },
+  ops: { name: "ops", builtin: true, statuses: OPS_STATUSES, transitions: OPS_TRANSITIONS, guards: {}, default_status: "todo" },
+};
+
+// Task fields a guard can require to be set
+export const GUARD_FIELDS = ["assigned_to", "branch", "pr_url", "pr_number", "pr_merged", "spec_file", "design_file", "due_date"];
+export const GUARD_CHECKS = ["criteria_checked", "review_approved"];
+
+const STATUS_NAME_RE = /^[a-z][a-z0-9_]*$/;
+
+// Statuses and pipeline names key plain objects, so lookups must only see
+// own properties — a status named "constructor" would otherwise resolve to
+// Object.prototype's
+function own(obj, key) {
+  return obj && Object.hasOwn(obj, key) ? obj[key] : undefined;
+}
+
+/**
+ * Load a pipeline by name — built-ins first, then the pipelines table.
+ * @returns {{name: string, builtin: boolean, statuses: string[], transitions: Record<string, string[]>, guards: Record<string, string[]>, default_status: string} | null}
+ */
+export function loadPipeline(db, name) {
+  if (own(BUILTIN_PIPELINES, name)) return BUILTIN_PIPELINES[name];
+  if (!db) return null;
+
+  const row = db.prepare("SELECT * FROM pipelines WHERE name = ?").get(name);
+  if (!row) return null;
+  return {
+    name: row.name,
+    builtin: false,
+    statuses: safeJsonParse(row.statuses, [], `pipeline ${row.name} statuses`),
+    transitions: safeJsonParse(row.transitions, {}, `pipeline ${row.name} transitions`),
+    guards: safeJsonParse(row.guards, {}, `pipeline ${row.name} guards`),
+    default_status: row.default_status,
+  };
+}
+
+/**
+ * The project_pipelines row a project resolves through: its exact
+ * assignment, else the longest matching 'prefix/*' assignment.
+ * @returns {{project: string, pipeline: string, assigned_by: string} | undefined}
+ */
+function findAssignment(db, project) {
+  const rows = db.prepare("SELECT project, pipeline, assigned_by FROM project_pipelines").all();
+  return rows.find((r) => r.project === project) || rows
+    .filter((r) => r.project.endsWith("/*") && project.startsWith(r.project.slice(0, -1)))
+    .sort((a, b) => b.project.length - a.project.length)[0];
+}
+
+/**
+ * Resolve the pipeline a project uses. An exact project assignment wins,
+ * then the longest matching 'prefix/*' assignment, then the built-in
+ * ops/forge split by project name.
+ */
+export function resolvePipeline(db, project) {
+  if (db && project) {
+    const match = findAssignment(db, project);
+    if (match) {
+      const pipeline = loadPipeline(db, match.pipeline);
+      if (pipeline) return pipeline;
+      console.error(`[warn] project ${project}: assigned pipeline '${match.pipeline}' not found, using default`);
+    }
+  }
   if (project && project.startsWith("ops/")) {
-    return OPS_TRANSITIONS;
+    return BUILTIN_PIPELINES.ops;
   }
-  return FORGE_TRANSITIONS;
+  return BUILTIN_PIPELINES.forge;
 }
 
-export function getDefaultStatus(project) {
-  if (project && project.startsWith("ops/")) {
-    return "todo";
+export function getTransitions(project, db) {
+  return resolvePipeline(db, project).transitions;
+}
+
+export function getDefaultStatus(project, db) {
+  return resolvePipeline(db, project).default_status;
+}
+
+/**
+ * Every status known to any pipeline (built-in or custom).
+ * @returns {string[]}
+ */
+export function getAllStatuses(db) {
+  const all = new Set(VALID_STATUSES);
+  if (db) {
+    for (const row of db.prepare("SELECT statuses FROM pipelines").all()) {
+      for (const s of safeJsonParse(row.statuses, [], "pipeline statuses")) all.add(s);
+    }
+  }
+  return [...all];
+}
+
+/**
+ * Guards that apply to moving a task from one status to another.
+ * @returns {string[]}
+ */
+export function getGuards(pipeline, from, to) {
+  return [...new Set([...(own(pipeline.guards, to) || []), ...(own(pipeline.guards, `${from}->${to}`) || [])])];
+}
+
+/**
+ * Evaluate guards against a task (with any pending field updates merged in).
+ * @returns {Array<{guard: string, reason: string}>} the unmet guards
+ */
+export function checkGuards(db, task, guards) {
+  const unmet = [];
+  for (const guard of guards) {
+    if (GUARD_FIELDS.includes(guard)) {
+      const value = task[guard];
+      if (value == null || value === "" || value === 0) {
+        unmet.push({ guard, reason: `${guard} must be set (pass ${guard} in update_task)` });
+      }
+    } else if (guard === "criteria_checked") {
+      const items = safeJsonParse(task.criteria, [], `task ${task.id} criteria`);
+      const open = items.filter((c) => !c.checked);
+      if (items.length === 0) {
+        unmet.push({ guard, reason: "no acceptance criteria set (use set_criteria)" });
+      } else if (open.length > 0) {
+        unmet.push({ guard, reason: `${open.length}/${items.length} acceptance criteria unchecked: ${open.map((c) => c.id).join(", ")} (use check_criterion)` });
+      }
+    } else if (guard === "review_approved") {
+      const review = db.prepare(
+        "SELECT author, verdict FROM task_comments WHERE task_id = ? AND type = 'review' ORDER BY created_at DESC, rowid DESC LIMIT 1"
+      ).get(task.id);
+      if (!review) {
+        unmet.push({ guard, reason: "no review submitted (use submit_review)" });
+      } else if (review.verdict !== "approve") {
+        unmet.push({ guard, reason: `latest review is ${review.verdict.toUpperCase()} by ${review.author}` });
+      }
+    } else {
+      unmet.push({ guard, reason: "unknown guard" });
+    }
+  }
+  return unmet;
+}
+
+/**
+ * Whether a status is terminal in a pipeline: one of its statuses with no
+ * outgoing transitions ("done" in the built-ins).
+ */
+export function isTerminalStatus(pipeline, status) {
+  return pipeline.statuses.includes(status) && !(own(pipeline.transitions, status) || []).length;
+}
+
+/**
+ * Build a check for whether a task has reached a terminal status of its own
+ * project's pipeline, resolving each project's pipeline once.
+ * @returns {(task: {project: string, status: string}) => boolean}
+ */
+function terminalCheck(db) {
+  const pipelines = new Map();
+  return (task) => {
+    if (!pipelines.has(task.project)) pipelines.set(task.project, resolvePipeline(db, task.project));
+    return isTerminalStatus(pipelines.get(task.project), task.status);
+  };
+}
+
+/**
+ * Subtask counts per parent task; a subtask is done once it reaches a
+ * terminal status.
+ * @returns {Record<string, {total: number, done: number}>}
+ */
+function countSubtasks(db) {
+  const isDone = terminalCheck(db);
+  const counts = {};
+  for (const t of db.prepare("SELECT parent_task_id, project, status FROM tasks WHERE parent_task_id IS NOT NULL").all()) {
+    const c = counts[t.parent_task_id] ||= { total: 0, done: 0 };
+    c.total++;
+    if (isDone(t)) c.done++;
+  }
+  return counts;
+}
+
+export function formatPipeline(pipeline, projects = []) {
+  const lines = [
+    `Pipeline: ${pipeline.name}${pipeline.builtin ? " (built-in)" : ""}`,
+    `Statuses: ${pipeline.statuses.join(" → ")}`,
+    `Default status: ${pipeline.default_status}`,
+    "Transitions:",
+  ];
+  for (const s of pipeline.statuses) {
+    const targets = own(pipeline.transitions, s) || [];
+    lines.push(`  ${s} → ${targets.length > 0 ? targets.join(" | ") : "(terminal)"}`);
   }
-  return "backlog";
+  const guardEntries = Object.entries(pipeline.guards || {});
+  if (guardEntries.length > 0) {
+    lines.push("Guards:");
+    for (const [key, guards] of guardEntries) {
+      lines.push(`  ${key.replace("->", " → ")}: requires ${guards.join(", ")}`);
+    }
+  }
+  if (projects.length > 0) {
+    lines.push(`Projects: ${projects.join(", ")}`);
+  }
+  return lines.join("\n");
 }
 
 // ── Task Handlers ───────────────────────────────────────────────────
 
-export function createTask(db, agentName, { project, title, description = "", priority = 5, status, assigned_to, parent_task_id, due_date }) {
+/**
+ * Create a task. Callers outside the MCP tool (e.g. the planner) may pass
+ * their own `id` so they know it without parsing the result text.
+ */
+export function createTask(db, agentName, { id = uuid8(), project, title, description = "", priority = 5, status, assigned_to, parent_task_id, due_date }) {
   try {
-    const id = uuid8();
     const ts = now();
 
     let resolvedProject = project;
@@ -186,7 +401,11 @@ export function createTask(db, agentName, { project, title, description = "", pr
       return { content: [{ type: "text", text: `Error: 'project' is required when not creating a subtask.` }], isError: true };
     }
 
-    const resolvedStatus = status || getDefaultStatus(resolvedProject);
+    const pipeline = resolvePipeline(db, resolvedProject);
+    if (status && !pipeline.statuses.includes(status)) {
+      return { content: [{ type: "text", text: `Error: Status '${status}' is not part of the ${pipeline.name} pipeline. Valid: ${pipeline.statuses.join(", ")}` }], isError: true };
+    }
+    const resolvedStatus = status || pipeline.default_status;
 
     const createTx = db.transaction(() => {
       db.prepare(
@@ -230,16 +449,7 @@ export function listTasks(db, agentName, { project, status = "all", assigned_to,
       return { content: [{ type: "text", text: "No tasks found matching filters." }] };
     }
 
-    const subtaskCounts = {};
-    const parentIds = rows.filter((t) => !t.parent_task_id).map((t) => t.id);
-    if (parentIds.length > 0) {
-      const countRows = db.prepare(
-        `SELECT parent_task_id, COUNT(*) as total,
-                SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as done
-         FROM tasks WHERE parent_task_id IS NOT NULL GROUP BY parent_task_id`
-      ).all();
-      for (const r of countRows) subtaskCounts[r.parent_task_id] = r;
-    }
+    const subtaskCounts = rows.some((t) => !t.parent_task_id) ? countSubtasks(db) : {};
 
     const lines = rows.map((t) => {
       const assignee = t.assigned_to ? ` → ${t.assigned_to}` : "";
@@ -394,10 +604,10 @@ export function getTask(db, agentName, { task_id }) {
 
     // Child tasks (subtasks)
     const children = db.prepare(
-      "SELECT id, title, status, assigned_to FROM tasks WHERE parent_task_id = ? ORDER BY priority ASC, created_at ASC"
+      "SELECT id, project, title, status, assigned_to FROM tasks WHERE parent_task_id = ? ORDER BY priority ASC, created_at ASC"
     ).all(task_id);
     if (children.length > 0) {
-      const doneCount = children.filter((c) => c.status === "done").length;
+      const doneCount = children.filter(terminalCheck(db)).length;
       lines.push("", `--- Subtasks (${doneCount}/${children.length} done) ---`);
       for (const child of children) {
         const assignee = child.assigned_to ? ` (${child.assigned_to})` : "";
@@ -430,22 +640,36 @@ export function updateTask(db, agentName, { task_id, status, assigned_to, branch
 
     // Status transition validation
     if (status && status !== task.status) {
-      const transitions = getTransitions(task.project);
-      const allowed = transitions[task.status];
+      const pipeline = resolvePipeline(db, task.project);
+      if (!pipeline.statuses.includes(status)) {
+        return { content: [{ type: "text", text: `Error: Status '${status}' is not part of the ${pipeline.name} pipeline. Valid: ${pipeline.statuses.join(", ")}` }], isError: true };
+      }
+      // A status outside the pipeline (e.g. after reassigning the project) may move to any pipeline status
+      const allowed = own(pipeline.transitions, task.status);
       if (allowed && !allowed.includes(status)) {
         const hint = allowed.length > 0 ? `Allowed: ${task.status} → ${allowed.join(" | ")}` : `No transitions from '${task.status}'`;
-        const pipeline = task.project && task.project.startsWith("ops/") ? "ops" : "forge";
-        return { content: [{ type: "text", text: `Error: Invalid status transition '${task.status}' → '${status}' (${pipeline} pipeline). ${hint}` }], isError: true };
+        return { content: [{ type: "text", text: `Error: Invalid status transition '${task.status}' → '${status}' (${pipeline.name} pipeline). ${hint}` }], isError: true };
+      }
+
+      // Fields set in this same call count towards guards
+      const pending = { assigned_to, branch, pr_url, pr_number, pr_merged, spec_file, design_file, due_date };
+      const merged = { ...task };
+      for (const [k, v] of Object.entries(pending)) {
+        if (v !== undefined) merged[k] = v;
+      }
+      const unmet = checkGuards(db, merged, getGuards(pipeline, task.status, status));
+      if (unmet.length > 0) {
+        const details = unmet.map((u) => `  - ${u.guard}: ${u.reason}`).join("\n");
+        return { content: [{ type: "text", text: `Error: Cannot move task ${task_id} '${task.status}' → '${status}' — ${unmet.length} unmet guard(s) (${pipeline.name} pipeline):\n${details}` }], isError: true };
       }
     }
 
-    // Done-guard: reject if children aren't all done
-    if (status === "done") {
-      const nonDoneChildren = db.prepare(
-        "SELECT COUNT(*) as cnt FROM tasks WHERE parent_task_id = ? AND status != 'done'"
-      ).get(task_id);
-      if (nonDoneChildren && nonDoneChildren.cnt > 0) {
-        return { content: [{ type: "text", text: `Error: Cannot mark task as done — ${nonDoneChildren.cnt} subtask(s) are not done yet.` }], isError: true };
+    // Done-guard: reject a terminal status while subtasks haven't reached one
+    if (status && isTerminalStatus(resolvePipeline(db, task.project), status)) {
+      const isDone = terminalCheck(db);
+      const open = db.prepare("SELECT project, status FROM tasks WHERE parent_task_id = ?").all(task_id).filter((c) => !isDone(c));
+      if (open.length > 0) {
+        return { content: [{ type: "text", text: `Error: Cannot mark task as ${status} — ${open.length} subtask(s) are not done yet.` }], isError: true };
       }
     }
 
@@ -632,16 +856,10 @@ export function getBoard(db, agentName, { project }) {
     }
 
     // Get subtask counts
-    const subtaskCounts = {};
-    const countRows = db.prepare(
-      `SELECT parent_task_id, COUNT(*) as total,
-              SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as done
-       FROM tasks WHERE parent_task_id IS NOT NULL GROUP BY parent_task_id`
-    ).all();
-    for (const r of countRows) subtaskCounts[r.parent_task_id] = r;
+    const subtaskCounts = countSubtasks(db);
 
     // Group by status
-    const statusList = project.startsWith("ops/") ? OPS_STATUSES : FORGE_STATUSES;
+    const statusList = resolvePipeline(db, project).statuses;
     const columns = {};
     for (const s of statusList) columns[s] = [];
     for (const t of rows) {
@@ -768,6 +986,160 @@ export function removeDependency(db, agentName, { task_id, depends_on_id }) {
   }
 }
 
+// ── Pipeline Handlers ───────────────────────────────────────────────
+
+export function definePipeline(db, agentName, { name, statuses, transitions, guards = {}, default_status, admin = false }) {
+  try {
+    if (own(BUILTIN_PIPELINES, name)) {
+      return { content: [{ type: "text", text: `Error: '${name}' is a built-in pipeline and cannot be redefined.` }], isError: true };
+    }
+    // Redefining changes every project assigned to the pipeline, so only its creator (or the admin) may
+    const existing = db.prepare("SELECT name, created_by FROM pipelines WHERE name = ?").get(name);
+    if (existing && existing.created_by !== agentName && !admin) {
+      return { content: [{ type: "text", text: `Error: Pipeline '${name}' was defined by ${existing.created_by} — only they or the admin agent can redefine it.` }], isError: true };
+    }
+    if (!statuses || statuses.length === 0) {
+      return { content: [{ type: "text", text: "Error: A pipeline needs at least one status." }], isError: true };
+    }
+    const badName = statuses.find((s) => !STATUS_NAME_RE.test(s));
+    if (badName) {
+      return { content: [{ type: "text", text: `Error: Invalid status name '${badName}' — use lowercase letters, digits and underscores.` }], isError: true };
+    }
+    const reserved = statuses.find((s) => s in Object.prototype);
+    if (reserved) {
+      return { content: [{ type: "text", text: `Error: '${reserved}' is reserved and can't be used as a status name.` }], isError: true };
+    }
+    if (new Set(statuses).size !== statuses.length) {
+      return { content: [{ type: "text", text: "Error: Duplicate status names in pipeline." }], isError: true };
+    }
+
+    // Default to a linear flow through the statuses in order
+    let resolvedTransitions = transitions;
+    if (!resolvedTransitions) {
+      resolvedTransitions = {};
+      statuses.forEach((s, i) => { resolvedTransitions[s] = i + 1 < statuses.length ? [statuses[i + 1]] : []; });
+    }
+    for (const [from, targets] of Object.entries(resolvedTransitions)) {
+      const unknown = [from, ...targets].find((s) => !statuses.includes(s));
+      if (unknown) {
+        return { content: [{ type: "text", text: `Error: Transition references unknown status '${unknown}'.` }], isError: true };
+      }
+    }
+    for (const s of statuses) {
+      if (!own(resolvedTransitions, s)) resolvedTransitions[s] = [];
+    }
+
+    for (const [key, required] of Object.entries(guards)) {
+      const parts = key.split("->");
+      const unknownStatus = parts.find((s) => !statuses.includes(s));
+      if (parts.length > 2 || unknownStatus) {
+        return { content: [{ type: "text", text: `Error: Guard key '${key}' must be a status or 'from->to' using pipeline statuses.` }], isError: true };
+      }
+      const unknownGuard = required.find((g) => !GUARD_FIELDS.includes(g) && !GUARD_CHECKS.includes(g));
+      if (unknownGuard) {
+        return { content: [{ type: "text", text: `Error: Unknown guard '${unknownGuard}'. Available: ${[...GUARD_FIELDS, ...GUARD_CHECKS].join(", ")}` }], isError: true };
+      }
+    }
+
+    const resolvedDefault = default_status || statuses[0];
+    if (!statuses.includes(resolvedDefault)) {
+      return { content: [{ type: "text", text: `Error: Default status '${resolvedDefault}' is not one of the pipeline statuses.` }], isError: true };
+    }
+
+    const ts = now();
+    if (existing) {
+      db.prepare(
+        "UPDATE pipelines SET statuses = ?, transitions = ?, guards = ?, default_status = ?, updated_at = ? WHERE name = ?"
+      ).run(JSON.stringify(statuses), JSON.stringify(resolvedTransitions), JSON.stringify(guards), resolvedDefault, ts, name);
+    } else {
+      db.prepare(
+        `INSERT INTO pipelines (name, statuses, transitions, guards, default_status, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(name, JSON.stringify(statuses), JSON.stringify(resolvedTransitions), JSON.stringify(guards), resolvedDefault, agentName, ts, ts);
+    }
+
+    const pipeline = loadPipeline(db, name);
+    return { content: [{ type: "text", text: `Pipeline ${existing ? "updated" : "defined"}: ${name}\n\n${formatPipeline(pipeline)}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function assignPipelineToProject(db, agentName, { project, pipeline, admin = false }) {
+  try {
+    const target = loadPipeline(db, pipeline);
+    if (!target) {
+      return { content: [{ type: "text", text: `Pipeline '${pipeline}' not found.` }], isError: true };
+    }
+
+    const tasks = project.endsWith("/*")
+      ? db.prepare("SELECT id, project, status FROM tasks WHERE project LIKE ? ESCAPE '\\'").all(project.slice(0, -1).replace(/[\\%_]/g, "\\$&") + "%")
+      : db.prepare("SELECT id, project, status FROM tasks WHERE project = ?").all(project);
+
+    // Reassigning can drop the guards existing tasks are held to, so only whoever
+    // assigned their current pipeline (or the admin) may change it
+    if (!admin) {
+      const existing = db.prepare("SELECT assigned_by FROM project_pipelines WHERE project = ?").get(project);
+      if (existing && existing.assigned_by !== agentName) {
+        return { content: [{ type: "text", text: `Error: Project ${project} was assigned its pipeline by ${existing.assigned_by} — only they or the admin agent can reassign it.` }], isError: true };
+      }
+      for (const t of tasks) {
+        const current = findAssignment(db, t.project);
+        // A more specific assignment keeps the task where it is
+        if (current && current.project !== project && (current.project === t.project || (project.endsWith("/*") && current.project.length > project.length))) continue;
+        if (!current) {
+          return { content: [{ type: "text", text: `Error: Project ${t.project} already has tasks on the built-in ${resolvePipeline(db, t.project).name} pipeline — only the admin agent can reassign it.` }], isError: true };
+        }
+        if (current.assigned_by !== agentName) {
+          return { content: [{ type: "text", text: `Error: Project ${t.project} gets its pipeline from ${current.project}, assigned by ${current.assigned_by} — only they or the admin agent can reassign it.` }], isError: true };
+        }
+      }
+    }
+
+    db.prepare(
+      `INSERT INTO project_pipelines (project, pipeline, assigned_by, assigned_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(project) DO UPDATE SET pipeline = excluded.pipeline, assigned_by = excluded.assigned_by, assigned_at = excluded.assigned_at`
+    ).run(project, pipeline, agentName, now());
+
+    // Warn about existing tasks whose status the new pipeline doesn't know
+    const stranded = tasks.filter((t) => resolvePipeline(db, t.project).name === pipeline && !target.statuses.includes(t.status));
+
+    let msg = `Project ${project} now uses the ${pipeline} pipeline (${target.statuses.join(" → ")})`;
+    if (stranded.length > 0) {
+      msg += `\n\nWarning: ${stranded.length} task(s) have statuses outside this pipeline and can be moved to any of its statuses: ${stranded.map((t) => `${t.id} [${t.status}]`).join(", ")}`;
+    }
+    return { content: [{ type: "text", text: msg }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+export function getPipeline(db, agentName, { name, project }) {
+  try {
+    if (project) {
+      const pipeline = resolvePipeline(db, project);
+      return { content: [{ type: "text", text: `Project ${project} uses:\n\n${formatPipeline(pipeline)}` }] };
+    }
+
+    const assignments = db.prepare("SELECT project, pipeline FROM project_pipelines ORDER BY project").all();
+    const projectsFor = (p) => assignments.filter((a) => a.pipeline === p).map((a) => a.project);
+
+    if (name) {
+      const pipeline = loadPipeline(db, name);
+      if (!pipeline) {
+        return { content: [{ type: "text", text: `Pipeline '${name}' not found.` }], isError: true };
+      }
+      return { content: [{ type: "text", text: formatPipeline(pipeline, projectsFor(name)) }] };
+    }
+
+    const custom = db.prepare("SELECT name FROM pipelines ORDER BY name").all().map((r) => r.name);
+    const all = [...Object.keys(BUILTIN_PIPELINES), ...custom].map((n) => formatPipeline(loadPipeline(db, n), projectsFor(n)));
+    return { content: [{ type: "text", text: all.join("\n\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
 // ── Initiative Handlers ─────────────────────────────────────────────
 
 export function createInitiative(db, agentName, { title, description = "", participants = [], criteria = [], target_date }) {
@@ -958,3 +1330,387 @@ export function addInitiativeUpdate(db, agentName, { initiative_id, update_text
     return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
   }
 }
+
+// ── Reports ──────────────────────────────────────────────────────────
+
+// Hours a task may sit in a status before stale_report flags it
+export const STALE_THRESHOLDS_HOURS = {
+  in_progress: 48,
+  in_review: 48,
+  testing: 48,
+  acceptance: 48,
+  blocked: 72,
+};
+
+/**
+ * Human-readable age, e.g. "3d 4h", "5h 12m" or "40m".
+ * @param {number} ms
+ */
+function formatAge(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  return `${minutes}m`;
+}
+
+export function staleReport(db, agentName, { project, assigned_to, thresholds = {}, limit = 50 }) {
+  try {
+    // Caller thresholds extend or override the defaults; 0 turns a status off
+    const limits = Object.entries({ ...STALE_THRESHOLDS_HOURS, ...thresholds }).filter(([, hours]) => hours > 0);
+    if (limits.length === 0) {
+      return { content: [{ type: "text", text: "Error: Every status threshold is 0 — nothing to check." }], isError: true };
+    }
+
+    const clauses = [`t.status IN (${limits.map(() => "?").join(", ")})`];
+    const params = limits.map(([status]) => status);
+    if (project) { clauses.push("t.project = ?"); params.push(project); }
+    if (assigned_to) { clauses.push("t.assigned_to = ?"); params.push(assigned_to); }
+
+    // Time in the current status runs from the last move into it
+    const rows = db.prepare(
+      `SELECT t.*, COALESCE(
+         (SELECT MAX(h.changed_at) FROM task_history h WHERE h.task_id = t.id AND h.to_status = t.status),
+         t.updated_at
+       ) AS status_since
+       FROM tasks t WHERE ${clauses.join(" AND ")}`
+    ).all(...params);
+
+    const nowMs = Date.now();
+    const thresholdOf = Object.fromEntries(limits);
+    const stale = rows
+      .map((t) => ({ ...t, idle: nowMs - new Date(t.status_since).getTime() }))
+      .filter((t) => t.idle >= thresholdOf[t.status] * 3600000)
+      .sort((a, b) => b.idle - a.idle);
+
+    const checked = limits.map(([status, hours]) => `${status} ${hours}h`).join(", ");
+    if (stale.length === 0) {
+      return { content: [{ type: "text", text: `No stale tasks (thresholds: ${checked}).` }] };
+    }
+
+    const shown = stale.slice(0, limit);
+    const sections = [];
+    for (const [status, hours] of limits) {
+      const tasks = shown.filter((t) => t.status === status);
+      if (tasks.length === 0) continue;
+      const items = tasks.map((t) => {
+        const assignee = t.assigned_to ? t.assigned_to : "unassigned";
+        return `  ${t.id}: ${t.title} (${assignee}) [${t.project}] — ${formatAge(t.idle)} in ${status} since ${t.status_since}`;
+      });
+      sections.push(`[${status.toUpperCase()}] over ${hours}h (${tasks.length})\n${items.join("\n")}`);
+    }
+
+    const more = stale.length > shown.length ? ` — showing the ${shown.length} longest idle` : "";
+    return { content: [{ type: "text", text: `Stale tasks: ${stale.length}${more} (thresholds: ${checked})\n\n${sections.join("\n\n")}` }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+/**
+ * Normalize a since/until filter to an ISO timestamp; bare dates cover the
+ * whole day.
+ */
+function dateBound(value, endOfDay) {
+  if (Number.isNaN(Date.parse(value))) throw new Error(`Invalid date: ${value}`);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return endOfDay ? `${value}T23:59:59.999Z` : `${value}T00:00:00.000Z`;
+  return new Date(value).toISOString();
+}
+
+/** Monday (UTC) of the week containing an ISO timestamp, as YYYY-MM-DD. */
+function weekOf(timestamp) {
+  const d = new Date(timestamp);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Count, mean and nearest-rank percentiles of a list of durations.
+ * @param {number[]} values - Milliseconds
+ * @returns {{count: number, avg: number, p50: number, p85: number, p95: number} | null}
+ */
+function durationStats(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p) => sorted[Math.ceil((p / 100) * sorted.length) - 1];
+  const avg = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return { count: sorted.length, avg, p50: rank(50), p85: rank(85), p95: rank(95) };
+}
+
+/**
+ * Whether moving between two statuses sends work back up its pipeline.
+ * Leaving `blocked` resumes work rather than redoing it, so it never counts.
+ */
+function isRework(pipeline, from, to) {
+  if (from === "blocked") return false;
+  const fromIdx = pipeline.statuses.indexOf(from);
+  const toIdx = pipeline.statuses.indexOf(to);
+  return fromIdx !== -1 && toIdx !== -1 && toIdx < fromIdx;
+}
+
+export function flowMetrics(db, agentName, { project, assigned_to, since, until, format = "text" }) {
+  try {
+    const from = since ? dateBound(since, false) : null;
+    const to = until ? dateBound(until, true) : null;
+    const inRange = (ts) => (!from || ts >= from) && (!to || ts <= to);
+
+    const clauses = [];
+    const params = [];
+    if (project) { clauses.push("project = ?"); params.push(project); }
+    if (assigned_to) { clauses.push("assigned_to = ?"); params.push(assigned_to); }
+    const where = clauses.length ? ` WHERE ${clauses.join(" AND ")}` : "";
+
+    const tasks = db.prepare(`SELECT * FROM tasks${where}`).all(...params);
+    if (tasks.length === 0) {
+      return { content: [{ type: "text", text: "No tasks found matching filters." }] };
+    }
+
+    const historyByTask = new Map(tasks.map((t) => [t.id, []]));
+    for (const h of db.prepare(
+      `SELECT * FROM task_history WHERE task_id IN (SELECT id FROM tasks${where}) ORDER BY changed_at, rowid`
+    ).all(...params)) historyByTask.get(h.task_id).push(h);
+
+    const pipelines = new Map();
+    const leadTimes = [];
+    const cycleTimes = [];
+    const inStatus = {};
+    const weekly = {};
+    const bounces = {};
+    const reworkedTasks = new Set();
+
+    for (const task of tasks) {
+      if (!pipelines.has(task.project)) pipelines.set(task.project, resolvePipeline(db, task.project));
+      const pipeline = pipelines.get(task.project);
+      const history = historyByTask.get(task.id);
+
+      // Done = first move into a terminal status; work starts at the first
+      // move into in_progress, or out of the initial status if there is none
+      const done = history.find((h) => h.from_status && isTerminalStatus(pipeline, h.to_status));
+      const started = pipeline.statuses.includes("in_progress")
+        ? history.find((h) => h.to_status === "in_progress")
+        : history.find((h) => h.from_status);
+      if (done && inRange(done.changed_at)) {
+        const doneMs = new Date(done.changed_at).getTime();
+        leadTimes.push(doneMs - new Date(task.created_at).getTime());
+        if (started && started.changed_at <= done.changed_at) cycleTimes.push(doneMs - new Date(started.changed_at).getTime());
+        const week = weekOf(done.changed_at);
+        weekly[week] = (weekly[week] || 0) + 1;
+      }
+
+      for (const h of history) {
+        if (!h.from_status || !inRange(h.changed_at)) continue;
+        if (h.duration_seconds != null) (inStatus[h.from_status] ||= []).push(h.duration_seconds * 1000);
+        if (isRework(pipeline, h.from_status, h.to_status)) {
+          const key = `${h.from_status} → ${h.to_status}`;
+          bounces[key] = (bounces[key] || 0) + 1;
+          reworkedTasks.add(task.id);
+        }
+      }
+    }
+
+    // Every week in the range, including empty ones
+    const weeks = Object.keys(weekly).sort();
+    const throughput = [];
+    if (weeks.length > 0) {
+      const last = to ? weekOf(to) : weeks.at(-1);
+      for (let w = from ? weekOf(from) : weeks[0]; w <= last;) {
+        throughput.push({ week: w, completed: weekly[w] || 0 });
+        const next = new Date(`${w}T00:00:00.000Z`);
+        next.setUTCDate(next.getUTCDate() + 7);
+        w = next.toISOString().slice(0, 10);
+      }
+    }
+
+    const statusOrder = getAllStatuses(db);
+    const rank = (s) => (statusOrder.indexOf(s) === -1 ? statusOrder.length : statusOrder.indexOf(s));
+    const timeInStatus = Object.keys(inStatus)
+      .sort((a, b) => rank(a) - rank(b))
+      .map((status) => ({ status, ...durationStats(inStatus[status]) }));
+    const lead = durationStats(leadTimes);
+    const cycle = durationStats(cycleTimes);
+    const completed = leadTimes.length;
+    const bounceTotal = Object.values(bounces).reduce((sum, n) => sum + n, 0);
+
+    if (format === "json") {
+      // Durations in seconds
+      const seconds = (s) => s && {
+        count: s.count,
+        avg: Math.round(s.avg / 1000),
+        p50: Math.round(s.p50 / 1000),
+        p85: Math.round(s.p85 / 1000),
+        p95: Math.round(s.p95 / 1000),
+      };
+      const json = {
+        filters: { project: project ?? null, assigned_to: assigned_to ?? null, since: from, until: to },
+        tasks: tasks.length,
+        completed,
+        lead_time: seconds(lead),
+        cycle_time: seconds(cycle),
+        time_in_status: Object.fromEntries(timeInStatus.map(({ status, ...s }) => [status, seconds(s)])),
+        throughput,
+        rework: { bounces: bounceTotal, tasks: reworkedTasks.size, transitions: bounces },
+      };
+      return { content: [{ type: "text", text: JSON.stringify(json, null, 2) }] };
+    }
+
+    const summary = (s) => `avg ${formatAge(s.avg)} | p50 ${formatAge(s.p50)} | p85 ${formatAge(s.p85)} | p95 ${formatAge(s.p95)}`;
+    const scope = [
+      project ? `project ${project}` : "all projects",
+      assigned_to ? `assignee ${assigned_to}` : null,
+      `${since ?? "beginning"} → ${until ?? "now"}`,
+    ].filter(Boolean).join(", ");
+
+    const lines = [`Flow metrics: ${scope}`, `Tasks: ${tasks.length} | completed in range: ${completed}`, ""];
+    lines.push(lead ? `Lead time (created → done, ${lead.count} tasks): ${summary(lead)}` : "Lead time: no completed tasks");
+    lines.push(cycle ? `Cycle time (started → done, ${cycle.count} tasks): ${summary(cycle)}` : "Cycle time: no completed tasks that were started");
+
+    if (timeInStatus.length > 0) {
+      lines.push("", "Time in status (per visit):");
+      const width = Math.max(...timeInStatus.map((s) => s.status.length));
+      for (const s of timeInStatus) lines.push(`  ${s.status.padEnd(width)}  ${summary(s)} (${s.count} visit(s))`);
+    }
+    if (throughput.length > 0) {
+      const avg = completed / throughput.length;
+      lines.push("", `Throughput per week (avg ${Math.round(avg * 10) / 10}):`);
+      for (const w of throughput) lines.push(`  ${w.week}  ${w.completed}`);
+    }
+    lines.push("", `Rework: ${bounceTotal} bounce(s) across ${reworkedTasks.size} task(s)`);
+    for (const [transition, count] of Object.entries(bounces).sort((a, b) => b[1] - a[1])) {
+      lines.push(`  ${transition}: ${count}`);
+    }
+
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
+
+// Longest date range cumulative_flow will reconstruct, and its bar width
+const MAX_FLOW_DAYS = 366;
+const CHART_WIDTH = 40;
+const CHART_GLYPHS = ["█", "▓", "▒", "░", "#", "=", "+", ":", ".", "~"];
+
+/**
+ * A stacked horizontal bar: one run of glyphs per segment, scaled so that
+ * `max` fills `width`. Rounds on running totals so segments add up.
+ */
+function stackedBar(segments, max, width) {
+  let bar = "";
+  let total = 0;
+  for (const { count, glyph } of segments) {
+    const start = Math.round((total / max) * width);
+    total += count;
+    bar += glyph.repeat(Math.round((total / max) * width) - start);
+  }
+  return bar.padEnd(width);
+}
+
+export function cumulativeFlow(db, agentName, { project, initiative_id, since, until, format = "text" }) {
+  try {
+    if (!project === !initiative_id) {
+      return { content: [{ type: "text", text: "Error: Give either project or initiative_id." }], isError: true };
+    }
+
+    let tasks;
+    let scope;
+    if (initiative_id) {
+      const initiative = db.prepare("SELECT id, title FROM initiatives WHERE id = ?").get(initiative_id);
+      if (!initiative) {
+        return { content: [{ type: "text", text: `Initiative '${initiative_id}' not found.` }], isError: true };
+      }
+      tasks = db.prepare(
+        "SELECT t.* FROM initiative_tasks it JOIN tasks t ON t.id = it.task_id WHERE it.initiative_id = ? ORDER BY t.created_at"
+      ).all(initiative_id);
+      scope = `initiative "${initiative.title}"`;
+    } else {
+      tasks = db.prepare("SELECT * FROM tasks WHERE project = ? ORDER BY created_at").all(project);
+      scope = `project ${project}`;
+    }
+    if (tasks.length === 0) {
+      return { content: [{ type: "text", text: `No tasks found for ${scope}.` }] };
+    }
+
+    // Days run from since (or the first task's creation) to until (or today)
+    const first = since ? dateBound(since, false).slice(0, 10) : tasks[0].created_at.slice(0, 10);
+    const last = until ? dateBound(until, true).slice(0, 10) : now().slice(0, 10);
+    const days = [];
+    for (const d = new Date(`${first}T00:00:00.000Z`); d.toISOString().slice(0, 10) <= last; d.setUTCDate(d.getUTCDate() + 1)) {
+      days.push(d.toISOString().slice(0, 10));
+      if (days.length > MAX_FLOW_DAYS) {
+        return { content: [{ type: "text", text: `Error: Range is longer than ${MAX_FLOW_DAYS} days — narrow it with since/until.` }], isError: true };
+      }
+    }
+    if (days.length === 0) {
+      return { content: [{ type: "text", text: "Error: since is after until." }], isError: true };
+    }
+
+    // Each task's status timeline; tasks without history keep their current status
+    const timelines = new Map(tasks.map((t) => [t.id, []]));
+    for (const h of db.prepare(
+      `SELECT task_id, to_status, changed_at FROM task_history
+       WHERE task_id IN (${tasks.map(() => "?").join(", ")}) ORDER BY changed_at, rowid`
+    ).all(...tasks.map((t) => t.id))) timelines.get(h.task_id).push(h);
+
+    const pipelines = new Map();
+    const pipelineOf = (task) => {
+      if (!pipelines.has(task.project)) pipelines.set(task.project, resolvePipeline(db, task.project));
+      return pipelines.get(task.project);
+    };
+    const isTerminal = (task, status) => isTerminalStatus(pipelineOf(task), status);
+
+    const series = days.map((day) => {
+      const end = `${day}T23:59:59.999Z`;
+      const counts = {};
+      let total = 0;
+      let remaining = 0;
+      for (const task of tasks) {
+        if (task.created_at > end) continue;
+        const timeline = timelines.get(task.id);
+        let status = timeline.length ? timeline[0].to_status : task.status;
+        for (const h of timeline) {
+          if (h.changed_at > end) break;
+          status = h.to_status;
+        }
+        counts[status] = (counts[status] || 0) + 1;
+        total++;
+        if (!isTerminal(task, status)) remaining++;
+      }
+      return { date: day, counts, remaining, total };
+    });
+
+    // Pipeline order, for every pipeline the tasks use
+    const statusOrder = [...new Set(tasks.flatMap((t) => pipelineOf(t).statuses))];
+    const seen = new Set(series.flatMap((d) => Object.keys(d.counts)));
+    const statuses = [...statusOrder.filter((s) => seen.has(s)), ...[...seen].filter((s) => !statusOrder.includes(s))];
+
+    if (format === "csv") {
+      const rows = [["date", ...statuses, "remaining", "total"].join(",")];
+      for (const d of series) rows.push([d.date, ...statuses.map((s) => d.counts[s] || 0), d.remaining, d.total].join(","));
+      return { content: [{ type: "text", text: rows.join("\n") }] };
+    }
+
+    // Finished work stacks first, as in a classic cumulative flow diagram
+    const stack = [...statuses].reverse().map((status, i) => ({ status, glyph: CHART_GLYPHS[i % CHART_GLYPHS.length] }));
+    const max = Math.max(1, ...series.map((d) => d.total));
+    const lines = [
+      `Cumulative flow: ${scope}, ${days[0]} → ${days.at(-1)} (${tasks.length} tasks)`,
+      `Legend: ${stack.map((s) => `${s.glyph} ${s.status}`).join("  ")}`,
+      "",
+    ];
+    for (const d of series) {
+      const bar = stackedBar(stack.map((s) => ({ count: d.counts[s.status] || 0, glyph: s.glyph })), max, CHART_WIDTH);
+      const counts = stack.filter((s) => d.counts[s.status]).map((s) => `${s.status} ${d.counts[s.status]}`).join(", ");
+      lines.push(`${d.date} │${bar}│ ${counts}`);
+    }
+
+    lines.push("", "Burndown (remaining / total):");
+    for (const d of series) {
+      lines.push(`${d.date} │${stackedBar([{ count: d.remaining, glyph: "█" }], max, CHART_WIDTH)}│ ${d.remaining}/${d.total}`);
+    }
+
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  } catch (err) {
+    return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+  }
+}
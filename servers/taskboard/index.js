@@ -2,8 +2,8 @@
 /**
  * MCP Taskboard Server — A full-featured sprint board.
  *
- * Provides task CRUD with two status pipelines, subtasks, dependencies,
- * acceptance criteria, FTS5 search, and cross-cutting initiatives.
+ * Provides task CRUD with configurable status pipelines, subtasks,
+ * dependencies, acceptance criteria, FTS5 search, and cross-cutting initiatives.
  *
  * Tools:
  *   - create_task: Create a new task on the board
@@ -25,14 +25,20 @@
  *   - update_initiative: Update an initiative
  *   - link_task_to_initiative: Link a task to an initiative
  *   - add_initiative_update: Log a progress note on an initiative
+ *   - define_pipeline: Define or update a custom status pipeline
+ *   - assign_pipeline_to_project: Use a pipeline for a project or project prefix
+ *   - get_pipeline: Show a pipeline, the pipeline a project uses, or all pipelines
+ *   - stale_report: Tasks idle in a status longer than its threshold
+ *   - flow_metrics: Lead/cycle time, time in status, throughput and rework
+ *   - cumulative_flow: Daily status counts and burndown as an ASCII chart or CSV
  */
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { createDb, getAgentName } from "../../shared/db.js";
+import { createDb, getAgentName, isAdminAgent } from "../../shared/db.js";
 import {
   initSchema,
-  VALID_STATUSES,
+  getAllStatuses,
   createTask,
   listTasks,
   searchTasks,
@@ -52,6 +58,12 @@ import {
   updateInitiative,
   linkTaskToInitiative,
   addInitiativeUpdate,
+  definePipeline,
+  assignPipelineToProject,
+  getPipeline,
+  staleReport,
+  flowMetrics,
+  cumulativeFlow,
 } from "./handlers.js";
 
 // ── Init ─────────────────────────────────────────────────────────────
@@ -64,17 +76,24 @@ const server = new McpServer({
   version: "1.0.0",
 });
 
+// Custom pipelines can be defined at runtime, so statuses are checked
+// against the DB on each call instead of a fixed enum.
+const statusSchema = (extra = []) => z.string().refine(
+  (s) => extra.includes(s) || getAllStatuses(db).includes(s),
+  (s) => ({ message: `Unknown status '${s}' — not part of any pipeline (see get_pipeline)` })
+);
+
 // ── Tools ────────────────────────────────────────────────────────────
 
 server.tool(
   "create_task",
-  "Create a new task. Use project prefix to select pipeline: 'forge/*' for full dev lifecycle (backlog→specced→designed→ready→in_progress→in_review→testing→acceptance→done), 'ops/*' for lightweight flow (todo→in_progress→blocked→done). Returns the task ID. Set parent_task_id to create a subtask.",
+  "Create a new task. The project's pipeline decides valid statuses: projects assigned a custom pipeline use it (see get_pipeline); otherwise 'ops/*' projects use the lightweight flow (todo→in_progress→blocked→done) and everything else the full dev lifecycle (backlog→specced→designed→ready→in_progress→in_review→testing→acceptance→done). Returns the task ID. Set parent_task_id to create a subtask.",
   {
     project: z.string().optional().describe("Project name (required unless parent_task_id is set)"),
     title: z.string().max(200).describe("Short task title"),
     description: z.string().max(10000).default("").describe("Detailed description, acceptance criteria, etc."),
     priority: z.number().min(1).max(10).default(5).describe("Priority 1 (highest) to 10 (lowest)"),
-    status: z.enum(VALID_STATUSES).optional().describe("Initial status (defaults to 'backlog' for forge/* or 'todo' for ops/* projects)"),
+    status: statusSchema().optional().describe("Initial status (defaults to the pipeline's default status, e.g. 'backlog' for forge or 'todo' for ops/* projects)"),
     assigned_to: z.string().optional().describe("Agent or person to assign to"),
     parent_task_id: z.string().optional().describe("Parent task ID to create this as a subtask (max depth 1)"),
     due_date: z.string().optional().describe("Due date in ISO format (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS)"),
@@ -87,7 +106,7 @@ server.tool(
   "List tasks from the sprint board, with optional filters.",
   {
     project: z.string().optional().describe("Filter by project name"),
-    status: z.enum([...VALID_STATUSES, "all"]).default("all").describe("Filter by status"),
+    status: statusSchema(["all"]).default("all").describe("Filter by status"),
     assigned_to: z.string().optional().describe("Filter by assignee"),
     limit: z.number().min(1).max(100).default(30).describe("Max results"),
   },
@@ -115,10 +134,10 @@ server.tool(
 
 server.tool(
   "update_task",
-  "Update a task's fields. Use this to transition status, assign tasks, set branches, etc.",
+  "Update a task's fields. Use this to transition status, assign tasks, set branches, etc. Status changes must follow the project's pipeline and pass its guards (forge: 'designed' needs design_file, 'in_review' needs pr_url, acceptance→done needs all criteria checked and an approving latest review). Fields passed in the same call count towards guards.",
   {
     task_id: z.string().describe("The task ID to update"),
-    status: z.enum(VALID_STATUSES).optional().describe("New status"),
+    status: statusSchema().optional().describe("New status (must be a valid transition in the project's pipeline)"),
     assigned_to: z.string().optional().describe("Assign to agent"),
     branch: z.string().optional().describe("Git branch name"),
     spec_file: z.string().optional().describe("Path to spec file"),
@@ -131,7 +150,7 @@ server.tool(
     pr_merged: z.number().int().min(0).max(1).optional().describe("1 if PR is merged, 0 otherwise"),
     parent_task_id: z.string().nullable().optional().describe("Set parent task (null to remove)"),
     due_date: z.string().nullable().optional().describe("Due date in ISO format (null to remove)"),
-    expected_status: z.enum(VALID_STATUSES).optional().describe("Optimistic lock: only update if current status matches this value. No-ops gracefully on mismatch."),
+    expected_status: statusSchema().optional().describe("Optimistic lock: only update if current status matches this value. No-ops gracefully on mismatch."),
   },
   async (params) => updateTask(db, getAgentName(), params)
 );
@@ -181,7 +200,7 @@ server.tool(
 
 server.tool(
   "get_board",
-  "Get a sprint board overview for a project — tasks grouped by status column.",
+  "Get a sprint board overview for a project — tasks grouped by the status columns of its pipeline.",
   {
     project: z.string().describe("Project name"),
   },
@@ -218,6 +237,41 @@ server.tool(
   async (params) => removeDependency(db, getAgentName(), params)
 );
 
+// ── Pipelines ────────────────────────────────────────────────────────
+
+server.tool(
+  "define_pipeline",
+  "Define (or redefine) a custom status pipeline, e.g. a research flow idea→investigating→writeup→published. Transitions default to a linear flow through the statuses in order; optional guards block a move until required fields or checks pass. Built-in pipelines 'forge' and 'ops' cannot be redefined, and only a pipeline's creator (or the admin agent) can redefine it.",
+  {
+    name: z.string().max(50).describe("Pipeline name (e.g. 'research')"),
+    statuses: z.array(z.string().max(50)).min(1).max(20).describe("Ordered status names — also the board column order"),
+    transitions: z.record(z.array(z.string())).optional().describe("Allowed moves per status, e.g. { \"writeup\": [\"published\", \"investigating\"] }. Statuses left out are terminal."),
+    guards: z.record(z.array(z.string())).default({}).describe("Requirements per target status or 'from->to' transition, e.g. { \"published\": [\"pr_url\"], \"writeup->published\": [\"review_approved\"] }. Guards: a task field (assigned_to, branch, pr_url, pr_number, pr_merged, spec_file, design_file, due_date), criteria_checked, review_approved."),
+    default_status: z.string().optional().describe("Status for new tasks (defaults to the first status)"),
+  },
+  async (params) => definePipeline(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "assign_pipeline_to_project",
+  "Make a project use a pipeline. Pass an exact project name or a prefix pattern like 'research/*'. Exact assignments win over prefixes; unassigned projects fall back to ops/* → ops, everything else → forge. Changing the pipeline of a project that already has one assigned, or of existing tasks, is limited to whoever assigned their current pipeline (the admin agent for built-in defaults).",
+  {
+    project: z.string().describe("Project name or 'prefix/*' pattern"),
+    pipeline: z.string().describe("Pipeline name ('forge', 'ops', or a custom pipeline)"),
+  },
+  async (params) => assignPipelineToProject(db, getAgentName(), { ...params, admin: isAdminAgent(getAgentName()) })
+);
+
+server.tool(
+  "get_pipeline",
+  "Show a pipeline's statuses and transitions. Pass a name, or a project to see which pipeline it uses. With neither, lists every pipeline and its project assignments.",
+  {
+    name: z.string().optional().describe("Pipeline name"),
+    project: z.string().optional().describe("Project name — shows the pipeline it resolves to"),
+  },
+  async (params) => getPipeline(db, getAgentName(), params)
+);
+
 // ── Initiatives ──────────────────────────────────────────────────────
 
 server.tool(
@@ -290,6 +344,46 @@ server.tool(
   async (params) => addInitiativeUpdate(db, getAgentName(), params)
 );
 
+// ── Reports ──────────────────────────────────────────────────────────
+
+server.tool(
+  "stale_report",
+  "Find work that silently stopped: tasks that have sat in a status longer than its threshold (time since they last moved into it, from the status history), with assignee and idle time. Defaults: in_progress, in_review, testing and acceptance 48h, blocked 72h.",
+  {
+    project: z.string().optional().describe("Only this project"),
+    assigned_to: z.string().optional().describe("Only tasks assigned to this agent"),
+    thresholds: z.record(z.number().min(0)).default({}).describe("Hours per status, e.g. { \"blocked\": 24, \"todo\": 168 }. Adds to or overrides the defaults; 0 stops checking a status."),
+    limit: z.number().int().min(1).max(200).default(50).describe("Max tasks listed"),
+  },
+  async (params) => staleReport(db, getAgentName(), params)
+);
+
+server.tool(
+  "flow_metrics",
+  "Flow metrics from the status history: lead time (created → done), cycle time (first in_progress → done), time spent per status visit (averages and p50/p85/p95), completed tasks per week, and rework (moves back up the pipeline, e.g. in_review → in_progress). Completions and transitions are counted within the date range.",
+  {
+    project: z.string().optional().describe("Only this project"),
+    assigned_to: z.string().optional().describe("Only tasks assigned to this agent"),
+    since: z.string().optional().describe("Start date or ISO timestamp (inclusive)"),
+    until: z.string().optional().describe("End date or ISO timestamp (inclusive)"),
+    format: z.enum(["text", "json"]).default("text").describe("text for reading, json (durations in seconds) for further processing"),
+  },
+  async (params) => flowMetrics(db, getAgentName(), params)
+);
+
+server.tool(
+  "cumulative_flow",
+  "Cumulative flow and burndown for a project or an initiative's linked tasks: how many tasks were in each status at the end of every day, rebuilt from the status history. Renders stacked ASCII bars for chat, or CSV (one row per day: status counts, remaining, total) for spreadsheets.",
+  {
+    project: z.string().optional().describe("Project name (give this or initiative_id)"),
+    initiative_id: z.string().optional().describe("Initiative whose linked tasks to chart"),
+    since: z.string().optional().describe("First day (defaults to the earliest task's creation)"),
+    until: z.string().optional().describe("Last day (defaults to today)"),
+    format: z.enum(["text", "csv"]).default("text").describe("text for an ASCII chart, csv for export"),
+  },
+  async (params) => cumulativeFlow(db, getAgentName(), params)
+);
+
 // ── Start ────────────────────────────────────────────────────────────
 
 const transport = new StdioServerTransport();
@@ -18,6 +18,15 @@ import {
   addDependency,
   removeDependency,
   deleteTask,
+  getBoard,
+  definePipeline,
+  assignPipelineToProject,
+  getPipeline,
+  createInitiative,
+  linkTaskToInitiative,
+  staleReport,
+  flowMetrics,
+  cumulativeFlow,
 } from "./handlers.js";
 
 const AGENT = "test-agent";
@@ -55,6 +64,24 @@ function quickCreate(overrides = {}) {
   return match ? match[1] : null;
 }
 
+// Rewrite a task's history as [status, hoursAfterCreation] steps, with
+// duration_seconds as updateTask would have recorded them
+function replay(taskId, created, moves) {
+  const base = new Date(created).getTime();
+  db.prepare("DELETE FROM task_history WHERE task_id = ?").run(taskId);
+  db.prepare("UPDATE tasks SET created_at = ?, status = ? WHERE id = ?").run(created, moves.at(-1)[0], taskId);
+  const insert = db.prepare(
+    `INSERT INTO task_history (id, task_id, from_status, to_status, changed_by, changed_at, duration_seconds)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  let prev = null;
+  moves.forEach(([status, hours], i) => {
+    insert.run(`${taskId}-${i}`, taskId, prev ? prev[0] : null, status, AGENT,
+      new Date(base + hours * 3600000).toISOString(), prev ? (hours - prev[1]) * 3600 : null);
+    prev = [status, hours];
+  });
+}
+
 // ── create_task ─────────────────────────────────────────────────────
 
 describe("createTask", () => {
@@ -317,3 +344,398 @@ describe("submitReview", () => {
     expect(JSON.parse(reviews[1].categories)).toEqual(["bug", "security"]);
   });
 });
+
+// ── pipelines ───────────────────────────────────────────────────────
+
+describe("pipelines", () => {
+  function defineResearch() {
+    return definePipeline(db, AGENT, {
+      name: "research",
+      statuses: ["idea", "investigating", "writeup", "published"],
+    });
+  }
+
+  it("defines a pipeline with a default linear flow", () => {
+    const result = defineResearch();
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toContain("idea → investigating → writeup → published");
+
+    const row = db.prepare("SELECT * FROM pipelines WHERE name = ?").get("research");
+    expect(row.default_status).toBe("idea");
+    expect(JSON.parse(row.transitions)).toEqual({
+      idea: ["investigating"],
+      investigating: ["writeup"],
+      writeup: ["published"],
+      published: [],
+    });
+  });
+
+  it("rejects redefining built-ins and unknown transition targets", () => {
+    const builtin = definePipeline(db, AGENT, { name: "forge", statuses: ["a"] });
+    expect(builtin.isError).toBe(true);
+
+    const bad = definePipeline(db, AGENT, {
+      name: "broken",
+      statuses: ["a", "b"],
+      transitions: { a: ["c"] },
+    });
+    expect(bad.isError).toBe(true);
+    expect(bad.content[0].text).toContain("unknown status 'c'");
+  });
+
+  it("rejects reserved status names and ignores inherited keys in stored pipelines", () => {
+    const bad = definePipeline(db, AGENT, { name: "proto", statuses: ["idea", "constructor"] });
+    expect(bad.isError).toBe(true);
+    expect(bad.content[0].text).toContain("'constructor' is reserved");
+
+    // A pipeline stored before the check still moves tasks into such a status
+    db.prepare(
+      `INSERT INTO pipelines (name, statuses, transitions, guards, default_status, created_by, created_at, updated_at)
+       VALUES ('legacy', ?, ?, '{}', 'idea', ?, datetime('now'), datetime('now'))`
+    ).run(JSON.stringify(["idea", "constructor"]), JSON.stringify({ idea: ["constructor"] }), AGENT);
+    assignPipelineToProject(db, AGENT, { project: "legacy", pipeline: "legacy" });
+    const id = quickCreate({ project: "legacy" });
+    expect(updateTask(db, AGENT, { task_id: id, status: "constructor" }).isError).toBeUndefined();
+    expect(getPipeline(db, AGENT, { name: "legacy" }).content[0].text).toContain("constructor → (terminal)");
+  });
+
+  it("only lets the creator or the admin redefine a pipeline", () => {
+    defineResearch();
+    const other = definePipeline(db, "intruder", { name: "research", statuses: ["x"] });
+    expect(other.isError).toBe(true);
+    expect(other.content[0].text).toContain(`defined by ${AGENT}`);
+    expect(JSON.parse(db.prepare("SELECT statuses FROM pipelines WHERE name = 'research'").get().statuses)).toHaveLength(4);
+
+    expect(definePipeline(db, AGENT, { name: "research", statuses: ["idea", "published"] }).isError).toBeUndefined();
+    expect(definePipeline(db, "ops-admin", { name: "research", statuses: ["idea", "done"], admin: true }).isError).toBeUndefined();
+  });
+
+  it("applies a prefix assignment to create, update and board", () => {
+    defineResearch();
+    assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "research" });
+
+    const id = quickCreate({ project: "research/llm" });
+    expect(db.prepare("SELECT status FROM tasks WHERE id = ?").get(id).status).toBe("idea");
+
+    const skip = updateTask(db, AGENT, { task_id: id, status: "published" });
+    expect(skip.isError).toBe(true);
+    expect(skip.content[0].text).toContain("research pipeline");
+
+    const foreign = updateTask(db, AGENT, { task_id: id, status: "specced" });
+    expect(foreign.isError).toBe(true);
+    expect(foreign.content[0].text).toContain("not part of the research pipeline");
+
+    const ok = updateTask(db, AGENT, { task_id: id, status: "investigating" });
+    expect(ok.isError).toBeUndefined();
+
+    const board = getBoard(db, AGENT, { project: "research/llm" });
+    expect(board.content[0].text).toContain("[INVESTIGATING] (1)");
+  });
+
+  it("prefers an exact project assignment over a prefix", () => {
+    defineResearch();
+    assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "research" });
+    assignPipelineToProject(db, AGENT, { project: "research/ops-like", pipeline: "ops" });
+
+    const result = getPipeline(db, AGENT, { project: "research/ops-like" });
+    expect(result.content[0].text).toContain("Pipeline: ops");
+
+    const fallback = getPipeline(db, AGENT, { project: "misc" });
+    expect(fallback.content[0].text).toContain("Pipeline: forge");
+  });
+
+  it("holds parents at a custom terminal status until subtasks reach one", () => {
+    defineResearch();
+    assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "research" });
+    const parent = quickCreate({ project: "research/llm", status: "writeup" });
+    const child = quickCreate({ parent_task_id: parent, title: "Survey" });
+
+    const blocked = updateTask(db, AGENT, { task_id: parent, status: "published" });
+    expect(blocked.isError).toBe(true);
+    expect(blocked.content[0].text).toContain("Cannot mark task as published — 1 subtask(s) are not done yet");
+
+    for (const status of ["investigating", "writeup", "published"]) updateTask(db, AGENT, { task_id: child, status });
+    expect(listTasks(db, AGENT, { project: "research/llm" }).content[0].text).toContain("[1/1 subtasks]");
+    expect(getTask(db, AGENT, { task_id: parent }).content[0].text).toContain("Subtasks (1/1 done)");
+    expect(updateTask(db, AGENT, { task_id: parent, status: "published" }).isError).toBeUndefined();
+  });
+
+  it("only lets whoever assigned a project's pipeline, or the admin, reassign it", () => {
+    defineResearch();
+    definePipeline(db, "bob", { name: "loose", statuses: ["open", "closed"] });
+    assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "research" });
+
+    const other = assignPipelineToProject(db, "bob", { project: "research/*", pipeline: "loose" });
+    expect(other.isError).toBe(true);
+    expect(other.content[0].text).toContain(`assigned its pipeline by ${AGENT}`);
+
+    // Empty projects are free to claim, but not ones whose tasks use someone else's assignment
+    expect(assignPipelineToProject(db, "bob", { project: "research/new", pipeline: "loose" }).isError).toBeUndefined();
+    quickCreate({ project: "research/llm" });
+    const narrower = assignPipelineToProject(db, "bob", { project: "research/llm", pipeline: "loose" });
+    expect(narrower.isError).toBe(true);
+    expect(narrower.content[0].text).toContain("gets its pipeline from research/*");
+
+    quickCreate({ project: "forge/app" });
+    const builtin = assignPipelineToProject(db, "bob", { project: "forge/app", pipeline: "loose" });
+    expect(builtin.isError).toBe(true);
+    expect(builtin.content[0].text).toContain("built-in forge pipeline");
+    expect(getPipeline(db, AGENT, { project: "forge/app" }).content[0].text).toContain("Pipeline: forge");
+
+    expect(assignPipelineToProject(db, "ops-admin", { project: "forge/app", pipeline: "loose", admin: true }).isError).toBeUndefined();
+    expect(assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "ops" }).isError).toBeUndefined();
+  });
+
+  it("rejects create_task with a status outside the pipeline", () => {
+    const result = createTask(db, AGENT, { project: "ops/deploy", title: "X", status: "backlog" });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("ops pipeline");
+  });
+});
+
+// ── transition guards ───────────────────────────────────────────────
+
+describe("transition guards", () => {
+  // Walk a forge task up to the given status, satisfying guards on the way
+  function advanceTo(id, target) {
+    const path = ["specced", "designed", "ready", "in_progress", "in_review", "testing", "acceptance"];
+    for (const status of path) {
+      const extra = status === "designed" ? { design_file: "docs/design.md" } : status === "in_review" ? { pr_url: "https://example.com/pr/1" } : {};
+      const result = updateTask(db, AGENT, { task_id: id, status, ...extra });
+      expect(result.isError).toBeUndefined();
+      if (status === target) return;
+    }
+  }
+
+  it("requires design_file to enter designed, counting fields from the same call", () => {
+    const id = quickCreate();
+    updateTask(db, AGENT, { task_id: id, status: "specced" });
+
+    const blocked = updateTask(db, AGENT, { task_id: id, status: "designed" });
+    expect(blocked.isError).toBe(true);
+    expect(blocked.content[0].text).toContain("design_file");
+
+    const ok = updateTask(db, AGENT, { task_id: id, status: "designed", design_file: "docs/d.md" });
+    expect(ok.isError).toBeUndefined();
+  });
+
+  it("names every unmet guard on acceptance → done", () => {
+    const id = quickCreate();
+    advanceTo(id, "acceptance");
+    setCriteria(db, AGENT, { task_id: id, criteria: ["Works", "Documented"] });
+    checkCriterion(db, AGENT, { task_id: id, criterion_id: "c1" });
+    submitReview(db, "reviewer", { task_id: id, verdict: "reject", content: "Nope" });
+
+    const blocked = updateTask(db, AGENT, { task_id: id, status: "done" });
+    expect(blocked.isError).toBe(true);
+    const text = blocked.content[0].text;
+    expect(text).toContain("2 unmet guard(s)");
+    expect(text).toContain("criteria_checked: 1/2 acceptance criteria unchecked: c2");
+    expect(text).toContain("review_approved: latest review is REJECT by reviewer");
+
+    checkCriterion(db, AGENT, { task_id: id, criterion_id: "c2" });
+    submitReview(db, "reviewer", { task_id: id, verdict: "approve", content: "LGTM" });
+    const ok = updateTask(db, AGENT, { task_id: id, status: "done" });
+    expect(ok.isError).toBeUndefined();
+  });
+
+  it("enforces guards declared on custom pipelines", () => {
+    definePipeline(db, AGENT, {
+      name: "research",
+      statuses: ["idea", "writeup", "published"],
+      guards: { "writeup->published": ["review_approved"] },
+    });
+    assignPipelineToProject(db, AGENT, { project: "research/*", pipeline: "research" });
+    const id = quickCreate({ project: "research/x" });
+    updateTask(db, AGENT, { task_id: id, status: "writeup" });
+
+    const blocked = updateTask(db, AGENT, { task_id: id, status: "published" });
+    expect(blocked.isError).toBe(true);
+    expect(blocked.content[0].text).toContain("no review submitted");
+  });
+
+  it("rejects unknown guards when defining a pipeline", () => {
+    const result = definePipeline(db, AGENT, {
+      name: "bad",
+      statuses: ["a", "b"],
+      guards: { b: ["telepathy"] },
+    });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("Unknown guard 'telepathy'");
+  });
+});
+
+// ── stale_report ────────────────────────────────────────────────────
+
+describe("staleReport", () => {
+  // Backdate the task's last move into its current status
+  function idleFor(taskId, hours) {
+    const at = new Date(Date.now() - hours * 3600000).toISOString();
+    db.prepare(
+      `UPDATE task_history SET changed_at = ? WHERE task_id = ?
+       AND to_status = (SELECT status FROM tasks WHERE id = ?)`
+    ).run(at, taskId, taskId);
+  }
+
+  function opsTask(title, status, assigned_to) {
+    const id = quickCreate({ project: "ops/infra", title, assigned_to });
+    updateTask(db, AGENT, { task_id: id, status: "in_progress" });
+    if (status === "blocked") updateTask(db, AGENT, { task_id: id, status: "blocked" });
+    return id;
+  }
+
+  it("flags tasks idle past the default thresholds with assignee and idle time", () => {
+    const slow = opsTask("Rotate certs", "in_progress", "alice");
+    const stuck = opsTask("Upgrade DB", "blocked");
+    const fresh = opsTask("Patch kernel", "in_progress", "bob");
+    idleFor(slow, 50);
+    idleFor(stuck, 80);
+    idleFor(fresh, 47);
+
+    const text = staleReport(db, AGENT, {}).content[0].text;
+    expect(text).toContain("Stale tasks: 2");
+    expect(text).toContain(`[IN_PROGRESS] over 48h (1)\n  ${slow}: Rotate certs (alice) [ops/infra] — 2d 2h in in_progress`);
+    expect(text).toContain(`[BLOCKED] over 72h (1)\n  ${stuck}: Upgrade DB (unassigned) [ops/infra] — 3d 8h in blocked`);
+    expect(text).not.toContain(fresh);
+  });
+
+  it("measures from the last move into the status, not the first", () => {
+    const id = opsTask("Flaky alerts", "blocked");
+    db.prepare("UPDATE task_history SET changed_at = ? WHERE task_id = ?")
+      .run(new Date(Date.now() - 200 * 3600000).toISOString(), id);
+    updateTask(db, AGENT, { task_id: id, status: "in_progress" });
+    updateTask(db, AGENT, { task_id: id, status: "blocked" });
+
+    expect(staleReport(db, AGENT, {}).content[0].text).toContain("No stale tasks");
+  });
+
+  it("applies per-status thresholds and filters", () => {
+    const mine = opsTask("Mine", "in_progress", "alice");
+    const theirs = opsTask("Theirs", "in_progress", "bob");
+    const queued = quickCreate({ project: "ops/infra", title: "Queued" });
+    idleFor(mine, 5);
+    idleFor(theirs, 5);
+    idleFor(queued, 30);
+
+    const text = staleReport(db, AGENT, { thresholds: { in_progress: 4, todo: 24 }, assigned_to: "alice" }).content[0].text;
+    expect(text).toContain("Stale tasks: 1");
+    expect(text).toContain(mine);
+    expect(text).not.toContain(theirs);
+
+    const todo = staleReport(db, AGENT, { thresholds: { in_progress: 0, todo: 24 }, project: "ops/infra" }).content[0].text;
+    expect(todo).toContain(`[TODO] over 24h (1)\n  ${queued}: Queued`);
+    expect(todo).not.toContain("in_progress");
+
+    const none = staleReport(db, AGENT, { thresholds: { in_progress: 0, in_review: 0, testing: 0, acceptance: 0, blocked: 0 } });
+    expect(none.isError).toBe(true);
+  });
+});
+
+// ── flow_metrics ────────────────────────────────────────────────────
+
+describe("flowMetrics", () => {
+  function seed() {
+    const a = quickCreate({ project: "ops/app", title: "A", assigned_to: "alice" });
+    const b = quickCreate({ project: "ops/app", title: "B", assigned_to: "bob" });
+    const c = quickCreate({ project: "forge/app", title: "C", assigned_to: "alice" });
+    const d = quickCreate({ project: "ops/app", title: "D", assigned_to: "alice" });
+    replay(a, "2026-03-02T09:00:00.000Z", [["todo", 0], ["in_progress", 24], ["blocked", 30], ["in_progress", 40], ["done", 48]]);
+    replay(b, "2026-03-03T09:00:00.000Z", [["todo", 0], ["in_progress", 2], ["done", 12]]);
+    replay(c, "2026-03-04T09:00:00.000Z", [
+      ["backlog", 0], ["specced", 1], ["designed", 2], ["ready", 3], ["in_progress", 4],
+      ["in_review", 8], ["in_progress", 10], ["in_review", 14], ["testing", 15], ["acceptance", 16], ["done", 20],
+    ]);
+    replay(d, "2026-03-10T09:00:00.000Z", [["todo", 0], ["in_progress", 1]]);
+    return { a, b, c, d };
+  }
+
+  it("reports lead time, cycle time, time in status, throughput and rework", () => {
+    seed();
+    const text = flowMetrics(db, AGENT, {}).content[0].text;
+    expect(text).toContain("Tasks: 4 | completed in range: 3");
+    expect(text).toContain("Lead time (created → done, 3 tasks): avg 1d 2h | p50 20h | p85 2d | p95 2d");
+    expect(text).toContain("Cycle time (started → done, 3 tasks): avg 16h 40m | p50 16h | p85 1d | p95 1d");
+    expect(text).toMatch(/in_progress\s+avg 6h 24m \| p50 6h \| p85 10h \| p95 10h \(5 visit\(s\)\)/);
+    expect(text).toMatch(/blocked\s+avg 10h/);
+    expect(text).toContain("Throughput per week (avg 3):\n  2026-03-02  3");
+    expect(text).toContain("Rework: 1 bounce(s) across 1 task(s)\n  in_review → in_progress: 1");
+  });
+
+  it("filters by project, assignee and completion date and returns JSON", () => {
+    seed();
+    const json = JSON.parse(flowMetrics(db, AGENT, { project: "ops/app", assigned_to: "alice", format: "json" }).content[0].text);
+    expect(json.tasks).toBe(2);
+    expect(json.completed).toBe(1);
+    expect(json.lead_time).toEqual({ count: 1, avg: 172800, p50: 172800, p85: 172800, p95: 172800 });
+    expect(json.cycle_time.avg).toBe(86400);
+    expect(json.time_in_status.blocked.avg).toBe(36000);
+    expect(json.rework).toEqual({ bounces: 0, tasks: 0, transitions: {} });
+
+    const late = JSON.parse(flowMetrics(db, AGENT, { since: "2026-03-05", until: "2026-03-16", format: "json" }).content[0].text);
+    expect(late.completed).toBe(1);
+    expect(late.throughput).toEqual([
+      { week: "2026-03-02", completed: 1 },
+      { week: "2026-03-09", completed: 0 },
+      { week: "2026-03-16", completed: 0 },
+    ]);
+    expect(flowMetrics(db, AGENT, { since: "not a date" }).isError).toBe(true);
+    expect(flowMetrics(db, AGENT, { project: "nope" }).content[0].text).toBe("No tasks found matching filters.");
+  });
+});
+
+// ── cumulative_flow ─────────────────────────────────────────────────
+
+describe("cumulativeFlow", () => {
+  function seed() {
+    const a = quickCreate({ project: "ops/app", title: "A" });
+    const b = quickCreate({ project: "ops/app", title: "B" });
+    replay(a, "2026-03-02T09:00:00.000Z", [["todo", 0], ["in_progress", 24], ["done", 48]]);
+    replay(b, "2026-03-03T09:00:00.000Z", [["todo", 0], ["in_progress", 30]]);
+    return { a, b };
+  }
+
+  it("rebuilds end-of-day status counts and burndown as CSV", () => {
+    seed();
+    const csv = cumulativeFlow(db, AGENT, { project: "ops/app", until: "2026-03-05", format: "csv" }).content[0].text;
+    expect(csv).toBe([
+      "date,todo,in_progress,done,remaining,total",
+      "2026-03-02,1,0,0,1,1",
+      "2026-03-03,1,1,0,2,2",
+      "2026-03-04,0,1,1,1,2",
+      "2026-03-05,0,1,1,1,2",
+    ].join("\n"));
+  });
+
+  it("renders stacked ASCII bars with a legend and a burndown", () => {
+    seed();
+    const text = cumulativeFlow(db, AGENT, { project: "ops/app", since: "2026-03-03", until: "2026-03-04" }).content[0].text;
+    expect(text).toContain("Cumulative flow: project ops/app, 2026-03-03 → 2026-03-04 (2 tasks)");
+    expect(text).toContain("Legend: █ done  ▓ in_progress  ▒ todo");
+    expect(text).toContain(`2026-03-04 │${"█".repeat(20)}${"▓".repeat(20)}│ done 1, in_progress 1`);
+    expect(text).toContain(`Burndown (remaining / total):\n2026-03-03 │${"█".repeat(40)}│ 2/2\n2026-03-04 │${"█".repeat(20)}${" ".repeat(20)}│ 1/2`);
+  });
+
+  it("charts an initiative's linked tasks across projects", () => {
+    const { a } = seed();
+    const c = quickCreate({ project: "forge/web", title: "C" });
+    replay(c, "2026-03-02T12:00:00.000Z", [["backlog", 0]]);
+    const created = createInitiative(db, AGENT, { title: "Launch" });
+    const initiativeId = created.content[0].text.match(/([0-9a-f]{8})/)[1];
+    linkTaskToInitiative(db, AGENT, { initiative_id: initiativeId, task_id: a });
+    linkTaskToInitiative(db, AGENT, { initiative_id: initiativeId, task_id: c });
+
+    const csv = cumulativeFlow(db, AGENT, { initiative_id: initiativeId, until: "2026-03-04", format: "csv" }).content[0].text.split("\n");
+    expect(csv[0]).toBe("date,todo,in_progress,done,backlog,remaining,total");
+    expect(csv.at(-1)).toBe("2026-03-04,0,0,1,1,1,2");
+  });
+
+  it("validates its inputs", () => {
+    seed();
+    expect(cumulativeFlow(db, AGENT, {}).isError).toBe(true);
+    expect(cumulativeFlow(db, AGENT, { project: "ops/app", initiative_id: "x" }).isError).toBe(true);
+    expect(cumulativeFlow(db, AGENT, { initiative_id: "nope" }).content[0].text).toBe("Initiative 'nope' not found.");
+    expect(cumulativeFlow(db, AGENT, { project: "ops/app", since: "2020-01-01", until: "2026-01-01" }).content[0].text).toContain("longer than 366 days");
+    expect(cumulativeFlow(db, AGENT, { project: "ops/app", since: "2026-03-05", until: "2026-03-01" }).content[0].text).toContain("since is after until");
+    expect(cumulativeFlow(db, AGENT, { project: "empty" }).content[0].text).toBe("No tasks found for project empty.");
+  });
+});
@@ -101,6 +101,24 @@ CREATE TABLE IF NOT EXISTS initiative_updates (
   created_at TEXT NOT NULL
 );
 
+CREATE TABLE IF NOT EXISTS pipelines (
+  name TEXT PRIMARY KEY,
+  statuses TEXT NOT NULL DEFAULT '[]',
+  transitions TEXT NOT NULL DEFAULT '{}',
+  guards TEXT NOT NULL DEFAULT '{}',
+  default_status TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS project_pipelines (
+  project TEXT PRIMARY KEY,
+  pipeline TEXT NOT NULL,
+  assigned_by TEXT,
+  assigned_at TEXT NOT NULL
+);
+
 CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project);
 CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id);
@@ -20,16 +20,32 @@ let _db = null;
  */
 export function createDb(serverName) {
   if (_db) return _db;
+  _db = openDb(getDbPath(serverName));
+  return _db;
+}
 
-  const dbPath = process.env.MCP_DB_PATH || join(homedir(), ".mcp-suite", `${serverName}.db`);
-  const dir = dirname(dbPath);
-  mkdirSync(dir, { recursive: true });
+/**
+ * Default database file path for a server: MCP_DB_PATH, or ~/.mcp-suite/<serverName>.db.
+ * @param {string} serverName
+ * @returns {string}
+ */
+export function getDbPath(serverName) {
+  return process.env.MCP_DB_PATH || join(homedir(), ".mcp-suite", `${serverName}.db`);
+}
 
-  _db = new Database(dbPath, { readonly: false });
-  _db.pragma("journal_mode = WAL");
-  _db.pragma("busy_timeout = 5000");
+/**
+ * Open an uncached SQLite connection at a path, with the same settings as
+ * createDb. Used when a server needs another server's database.
+ * @param {string} dbPath
+ * @returns {import('better-sqlite3').Database}
+ */
+export function openDb(dbPath) {
+  mkdirSync(dirname(dbPath), { recursive: true });
 
-  return _db;
+  const db = new Database(dbPath, { readonly: false });
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  return db;
 }
 
 /**
@@ -55,3 +71,49 @@ export function uuid8() {
 export function now() {
   return new Date().toISOString();
 }
+
+/**
+ * Add a column to an existing table if it is missing.
+ * Lets initSchema upgrade databases created by older versions.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Type and constraints, e.g. "TEXT NOT NULL DEFAULT '{}'"
+ * @returns {boolean} true if the column was added
+ */
+export function ensureColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some((c) => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Get the agent's team from MCP_AGENT_TEAM (null if unset).
+ * @returns {string|null}
+ */
+export function getAgentTeam() {
+  return process.env.MCP_AGENT_TEAM || null;
+}
+
+/**
+ * Get the named groups the agent belongs to from comma-separated MCP_AGENT_GROUPS.
+ * @returns {string[]}
+ */
+export function getAgentGroups() {
+  return (process.env.MCP_AGENT_GROUPS || "")
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether the agent is the admin identity named by MCP_ADMIN_AGENT, which may
+ * manage records owned by other agents. Unset means no admin.
+ * @param {string} agentName
+ * @returns {boolean}
+ */
+export function isAdminAgent(agentName) {
+  const admin = process.env.MCP_ADMIN_AGENT;
+  return Boolean(admin) && admin === agentName;
+}
@@ -12,7 +12,7 @@ const testDbPath = join(tempDir, "subdir", "test.db");
 process.env.MCP_DB_PATH = testDbPath;
 process.env.MCP_AGENT_NAME = "test-agent";
 
-const { createDb, getAgentName, uuid8, now } = await import("./db.js");
+const { createDb, getDbPath, openDb, getAgentName, getAgentTeam, getAgentGroups, isAdminAgent, uuid8, now, ensureColumn } = await import("./db.js");
 
 let db;
 
@@ -49,12 +49,68 @@ describe("createDb", () => {
   });
 });
 
+describe("getDbPath / openDb", () => {
+  it("uses MCP_DB_PATH when set", () => {
+    expect(getDbPath("taskboard")).toBe(testDbPath);
+  });
+
+  it("opens a separate WAL connection at any path", () => {
+    const otherPath = join(tempDir, "other", "taskboard.db");
+    const other = openDb(otherPath);
+    try {
+      expect(other).not.toBe(db);
+      expect(existsSync(otherPath)).toBe(true);
+      expect(other.pragma("journal_mode", { simple: true })).toBe("wal");
+    } finally {
+      other.close();
+    }
+  });
+});
+
 describe("getAgentName", () => {
   it("reads MCP_AGENT_NAME env var", () => {
     expect(getAgentName()).toBe("test-agent");
   });
 });
 
+describe("getAgentTeam / getAgentGroups", () => {
+  afterAll(() => {
+    delete process.env.MCP_AGENT_TEAM;
+    delete process.env.MCP_AGENT_GROUPS;
+  });
+
+  it("returns null / empty when unset", () => {
+    delete process.env.MCP_AGENT_TEAM;
+    delete process.env.MCP_AGENT_GROUPS;
+    expect(getAgentTeam()).toBeNull();
+    expect(getAgentGroups()).toEqual([]);
+  });
+
+  it("parses comma-separated groups, trimming blanks", () => {
+    process.env.MCP_AGENT_TEAM = "infra";
+    process.env.MCP_AGENT_GROUPS = "oncall, release ,,";
+    expect(getAgentTeam()).toBe("infra");
+    expect(getAgentGroups()).toEqual(["oncall", "release"]);
+  });
+});
+
+describe("isAdminAgent", () => {
+  afterAll(() => {
+    delete process.env.MCP_ADMIN_AGENT;
+  });
+
+  it("is false for everyone when MCP_ADMIN_AGENT is unset", () => {
+    delete process.env.MCP_ADMIN_AGENT;
+    expect(isAdminAgent("default")).toBe(false);
+  });
+
+  it("matches only the named agent", () => {
+    process.env.MCP_ADMIN_AGENT = "janitor";
+    expect(isAdminAgent("janitor")).toBe(true);
+    expect(isAdminAgent("alice")).toBe(false);
+  });
+});
+
 describe("uuid8", () => {
   it("returns 8-char string", () => {
     const id = uuid8();
@@ -100,3 +156,15 @@ describe("DB functionality", () => {
     expect(row.value).toBe("v1");
   });
 });
+
+describe("ensureColumn", () => {
+  it("adds a missing column once", () => {
+    db.exec("CREATE TABLE IF NOT EXISTS migrate_table (id TEXT PRIMARY KEY)");
+    expect(ensureColumn(db, "migrate_table", "extra", "TEXT DEFAULT 'x'")).toBe(true);
+    expect(ensureColumn(db, "migrate_table", "extra", "TEXT DEFAULT 'x'")).toBe(false);
+
+    db.prepare("INSERT INTO migrate_table (id) VALUES (?)").run("m1");
+    const row = db.prepare("SELECT extra FROM migrate_table WHERE id = ?").get("m1");
+    expect(row.extra).toBe("x");
+  });
+});
@@ -25,7 +25,7 @@ describe("integration harness", () => {
     expect(tools).toContain("list_memories");
     expect(tools).toContain("forget");
     expect(tools).toContain("update_memory");
-    expect(tools.length).toBe(5);
+    expect(tools.length).toBe(15);
   });
 
   it("calls store_memory and recall round-trip", async () => {
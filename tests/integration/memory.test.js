@@ -14,15 +14,20 @@ describe("memory integration", () => {
     if (harness) await harness.close();
   });
 
-  it("lists all 5 memory tools", async () => {
+  it("lists all 15 memory tools", async () => {
     harness = await spawn("servers/memory/index.js");
     const tools = await harness.listTools();
 
-    const expected = ["store_memory", "recall", "list_memories", "forget", "update_memory"];
+    const expected = [
+      "store_memory", "recall", "list_memories", "forget", "update_memory",
+      "consolidate_memories", "prune_memories", "share_memory",
+      "memory_history", "restore_memory", "list_forgotten", "unforget",
+      "link_memories", "unlink_memories", "sweep_expired",
+    ];
     for (const name of expected) {
       expect(tools, `missing tool: ${name}`).toContain(name);
     }
-    expect(tools.length).toBe(5);
+    expect(tools.length).toBe(15);
   });
 
   it("store and recall round-trip", async () => {
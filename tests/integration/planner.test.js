@@ -11,18 +11,25 @@ describe("planner integration", () => {
     if (harness) await harness.close();
   });
 
-  it("lists all 6 planner tools", async () => {
+  it("lists all 29 planner tools", async () => {
     harness = await spawn("servers/planner/index.js");
     const tools = await harness.listTools();
 
     const expected = [
-      "create_plan", "update_step", "get_plan",
+      "create_plan", "update_step", "get_plan", "next_steps",
       "list_plans", "complete_plan", "abandon_plan",
+      "add_step", "remove_step", "reorder_steps", "edit_step", "split_step",
+      "focus_plan", "pause_plan", "resume_plan", "reopen_plan",
+      "save_plan_template", "list_plan_templates", "create_plan_from_template",
+      "plan_stats",
+      "create_task_from_step", "create_plan_from_task", "sync_step_tasks",
+      "log_step_progress", "get_step_log",
+      "share_plan", "unshare_plan", "team_plans", "stale_report",
     ];
     for (const name of expected) {
       expect(tools, `missing tool: ${name}`).toContain(name);
     }
-    expect(tools.length).toBe(6);
+    expect(tools.length).toBe(29);
   });
 
   it("create and get plan round-trip", async () => {
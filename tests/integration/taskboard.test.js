@@ -12,7 +12,7 @@ describe("taskboard integration", () => {
     if (harness) await harness.close();
   });
 
-  it("spawns taskboard server and lists all 19 tools", async () => {
+  it("spawns taskboard server and lists all 25 tools", async () => {
     harness = await spawn("servers/taskboard/index.js");
     const tools = await harness.listTools();
 
@@ -22,12 +22,14 @@ describe("taskboard integration", () => {
       "get_board", "add_dependency", "remove_dependency", "delete_task",
       "create_initiative", "list_initiatives", "get_initiative",
       "update_initiative", "link_task_to_initiative", "add_initiative_update",
+      "define_pipeline", "assign_pipeline_to_project", "get_pipeline",
+      "stale_report", "flow_metrics", "cumulative_flow",
     ];
 
     for (const name of expected) {
       expect(tools, `missing tool: ${name}`).toContain(name);
     }
-    expect(tools.length).toBe(19);
+    expect(tools.length).toBe(25);
   });
 
   it("create_task and get_task round-trip", async () => {